@@ -0,0 +1,254 @@
+/**
+ * Batch Module
+ * Flashes one unit after another as they are plugged in and records a report of the run
+ */
+
+const Batch = {
+    CSV_COLUMNS: ['Unit', 'Started', 'MAC Address', 'Chip', 'Firmware', 'Duration (s)', 'Result', 'Error'],
+
+    // A native USB unit re-enumerates this soon after its reset, an operator cannot swap units as fast
+    REENUMERATION_WINDOW_MS: 2000,
+
+    // Espressif's USB vendor ID, used by the chip's own USB-JTAG-Serial. USB-UART bridges keep their port across a reset.
+    NATIVE_USB_VENDOR_ID: 0x303A,
+
+    running: false,
+    processing: false,
+
+    // {files, firmwareFiles, manifest, firmwareVersion, erase, attempts} captured when the run starts
+    plan: null,
+    callbacks: null,
+    queue: [],
+    results: [],
+
+    // Ports taken for a unit reappearing after its reset, flashed only if the operator says so
+    ignoredPorts: [],
+
+    // Port of the last unit that was reset into its firmware, and until when its connect events are ignored
+    resetPort: null,
+    reenumerationDeadline: 0,
+
+    connectListener: null,
+    disconnectListener: null,
+
+    /**
+     * Start waiting for devices
+     * @param {Object} plan - Flash plan {files, firmwareFiles, manifest, firmwareVersion, erase, attempts}
+     * @param {Object} callbacks - {log(message, type), progress(percent, info), unitStarted(unit), unitFinished(result), idle(), ignoredChanged()}
+     */
+    start(plan, callbacks) {
+        if (!('serial' in navigator)) {
+            throw new Error('Web Serial API is not supported in this browser. Please use Chrome, Edge, or Opera.');
+        }
+        if (this.running) {
+            throw new Error('Batch run is already active');
+        }
+
+        this.plan = plan;
+        this.callbacks = callbacks;
+        this.queue = [];
+        this.results = [];
+        this.ignoredPorts = [];
+        this.resetPort = null;
+        this.reenumerationDeadline = 0;
+        this.running = true;
+
+        // Only ports the page was granted before raise connect events
+        this.connectListener = (event) => {
+            // Connecting would reset the unit that was just flashed back into the bootloader
+            if (Date.now() < this.reenumerationDeadline && this.isNativeUsb(event.target)) {
+                this.reenumerationDeadline = 0;
+                this.ignoredPorts.push(event.target);
+                this.callbacks.log('A native USB unit appeared right after the last unit was reset and was not flashed, as it is most likely that unit restarting. If it is a new unit, use "Flash Ignored Unit".', 'warning');
+                this.callbacks.ignoredChanged();
+                return;
+            }
+            this.enqueue(event.target);
+        };
+        this.disconnectListener = (event) => {
+            this.queue = this.queue.filter(port => port !== event.target);
+            if (this.ignoredPorts.includes(event.target)) {
+                this.ignoredPorts = this.ignoredPorts.filter(port => port !== event.target);
+                this.callbacks.ignoredChanged();
+            }
+            if (event.target === this.resetPort && this.isNativeUsb(event.target)) {
+                this.resetPort = null;
+                this.reenumerationDeadline = Date.now() + this.REENUMERATION_WINDOW_MS;
+            }
+        };
+        navigator.serial.addEventListener('connect', this.connectListener);
+        navigator.serial.addEventListener('disconnect', this.disconnectListener);
+    },
+
+    /**
+     * Stop waiting for devices, the unit being flashed is finished first
+     */
+    stop() {
+        if (this.connectListener) {
+            navigator.serial.removeEventListener('connect', this.connectListener);
+            navigator.serial.removeEventListener('disconnect', this.disconnectListener);
+        }
+        this.connectListener = null;
+        this.disconnectListener = null;
+        this.running = false;
+        this.queue = [];
+        this.ignoredPorts = [];
+    },
+
+    /**
+     * Check whether a port is the chip's own USB, which re-enumerates when the chip resets
+     * @param {SerialPort} port - Serial port
+     * @returns {boolean} True for Espressif's USB vendor ID
+     */
+    isNativeUsb(port) {
+        return port.getInfo().usbVendorId === this.NATIVE_USB_VENDOR_ID;
+    },
+
+    /**
+     * Queue the ports that were taken for a unit reappearing after its reset
+     */
+    flashIgnored() {
+        const ports = this.ignoredPorts;
+        this.ignoredPorts = [];
+        ports.forEach(port => this.enqueue(port));
+    },
+
+    /**
+     * Queue a port for flashing
+     * @param {SerialPort} port - Serial port of the next unit
+     */
+    enqueue(port) {
+        if (!this.running || this.queue.includes(port)) {
+            return;
+        }
+
+        this.queue.push(port);
+        this.processQueue();
+    },
+
+    /**
+     * Flash queued units one at a time
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        if (this.processing) {
+            return;
+        }
+
+        this.processing = true;
+        try {
+            while (this.running && this.queue.length > 0) {
+                const result = await this.flashUnit(this.queue.shift());
+                if (!result.skipped) {
+                    this.results.push(result);
+                }
+                this.callbacks.unitFinished(result);
+            }
+        } finally {
+            this.processing = false;
+            this.callbacks.idle();
+        }
+    },
+
+    /**
+     * Connect, optionally erase, flash, verify, reset and disconnect one unit
+     * @param {SerialPort} port - Serial port of the unit
+     * @returns {Promise<Object>} Result {unit, started, macAddress, chip, firmwareVersion, duration, passed, skipped, error}
+     */
+    async flashUnit(port) {
+        const log = this.callbacks.log;
+        const startTime = Date.now();
+        const result = {
+            unit: this.results.length + 1,
+            started: new Date(startTime),
+            macAddress: '',
+            chip: '',
+            firmwareVersion: this.plan.firmwareVersion,
+            duration: 0,
+            passed: false,
+            skipped: false,
+            error: ''
+        };
+
+        this.callbacks.unitStarted(result.unit);
+        try {
+            const deviceInfo = await Flasher.connectDevice(log, port);
+            result.macAddress = deviceInfo.macAddress;
+            result.chip = deviceInfo.type;
+            log(`Unit ${result.unit}: ${deviceInfo.type}, MAC ${deviceInfo.macAddress}`, 'info');
+
+            // A unit that re-enumerated after its reset and was not caught by the connect listener.
+            // Connecting put it back into the bootloader, so it is reset into its firmware again.
+            if (this.results.some(previous => previous.passed && previous.macAddress === deviceInfo.macAddress)) {
+                log(`${deviceInfo.macAddress} was already flashed in this run, skipping`, 'info');
+                result.skipped = true;
+                this.resetPort = port;
+                await Flasher.resetDevice();
+                return result;
+            }
+
+            const inspection = await FileHandler.inspectFirmwareImages(this.plan.firmwareFiles, deviceInfo, this.plan.manifest);
+            if (!inspection.isValid) {
+                throw new Error(`Firmware rejected: ${inspection.message}`);
+            }
+
+            if (this.plan.erase) {
+                await Flasher.eraseFlash(log);
+            }
+
+            // flashFirmware resets the unit only after verification passed
+            this.resetPort = port;
+            await Flasher.flashFirmware(this.plan.files, this.callbacks.progress, log, {
+                verify: true,
+                attempts: this.plan.attempts
+            });
+            result.passed = true;
+        } catch (error) {
+            // A unit that failed was not reset, its disconnect is the operator unplugging it
+            this.resetPort = null;
+            result.error = error.message;
+            log(`Unit ${result.unit} failed: ${error.message}`, 'error');
+        } finally {
+            // Units are not resumed, a failed one is flashed again from the start
+            Flasher.clearSession();
+            await Flasher.disconnectDevice();
+            result.duration = (Date.now() - startTime) / 1000;
+        }
+
+        log(`Unit ${result.unit} ${result.passed ? 'passed' : 'FAILED'} in ${result.duration.toFixed(1)}s, unplug it and connect the next unit`, result.passed ? 'success' : 'error');
+        return result;
+    },
+
+    /**
+     * Count passed and failed units
+     * @returns {Object} {total, passed, failed}
+     */
+    getSummary() {
+        const passed = this.results.filter(result => result.passed).length;
+        return { total: this.results.length, passed, failed: this.results.length - passed };
+    },
+
+    /**
+     * Build the CSV report of the run
+     * @returns {string} CSV text
+     */
+    toCsv() {
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = this.results.map(result => [
+            result.unit,
+            result.started.toISOString(),
+            result.macAddress,
+            result.chip,
+            result.firmwareVersion,
+            result.duration.toFixed(1),
+            result.passed ? 'PASS' : 'FAIL',
+            result.error
+        ]);
+
+        return [this.CSV_COLUMNS, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+};
@@ -0,0 +1,137 @@
+/**
+ * Database Module
+ * Thin promise wrapper around the updater's IndexedDB database
+ */
+
+const Database = {
+    NAME: 'hds-updater',
+    VERSION: 2,
+    db: null,
+
+    /**
+     * Open the database, creating or upgrading object stores as needed
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        if (!('indexedDB' in window)) {
+            return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.NAME, this.VERSION);
+
+            request.onupgradeneeded = (e) => this.upgrade(e.target.result, e.oldVersion);
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let other tabs upgrade the schema
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(new Error(`Failed to open database: ${request.error.message}`));
+            // Not a failure: the open completes once the other tabs close the old version
+            request.onblocked = () => console.warn('Database upgrade is waiting for other updater tabs to close');
+        });
+    },
+
+    /**
+     * Create object stores for each schema version
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Previous schema version (0 for a new database)
+     */
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            db.createObjectStore('firmware', { keyPath: 'key' });
+        }
+        if (oldVersion < 2) {
+            db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+        }
+    },
+
+    /**
+     * Run a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(new Error(`Database error: ${transaction.error.message}`));
+            transaction.onabort = () => reject(new Error(`Database transaction aborted: ${transaction.error ? transaction.error.message : 'unknown error'}`));
+        });
+    },
+
+    /**
+     * Store a record
+     * @param {string} storeName - Object store name
+     * @param {Object} value - Record to store
+     * @returns {Promise<*>} Record key
+     */
+    put(storeName, value) {
+        return this.request(storeName, 'readwrite', store => store.put(value));
+    },
+
+    /**
+     * Load a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>} Record, or undefined if missing
+     */
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    },
+
+    /**
+     * Load all records of a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} All records
+     */
+    getAll(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAll());
+    },
+
+    /**
+     * Load all keys of a store in ascending order
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} All keys
+     */
+    getAllKeys(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAllKeys());
+    },
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this.request(storeName, 'readwrite', store => store.delete(key));
+    },
+
+    /**
+     * Delete all records of a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<void>}
+     */
+    clear(storeName) {
+        return this.request(storeName, 'readwrite', store => store.clear());
+    }
+};
@@ -0,0 +1,117 @@
+/**
+ * Diagnostics Module
+ * Packages the log, environment, device and flash plan into a zip for support tickets
+ */
+
+const Diagnostics = {
+    /**
+     * Convert an error and its causes to plain data
+     * @param {Error|null} error - Error, possibly with a cause chain
+     * @returns {Object|null} {name, message, stack, cancelled, cause}
+     */
+    serializeError(error) {
+        if (!error) {
+            return null;
+        }
+        if (!(error instanceof Error)) {
+            return { name: typeof error, message: String(error), stack: null, cancelled: false, cause: null };
+        }
+
+        return {
+            name: error.name,
+            message: error.message,
+            stack: error.stack || null,
+            cancelled: Boolean(error.cancelled),
+            cause: this.serializeError(error.cause || null)
+        };
+    },
+
+    /**
+     * Describe the browser and its Web Serial support
+     * @returns {Promise<Object>} Environment information
+     */
+    async describeEnvironment() {
+        const environment = {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform,
+            language: navigator.language,
+            online: navigator.onLine,
+            url: location.href,
+            secureContext: window.isSecureContext,
+            serviceWorker: 'serviceWorker' in navigator && Boolean(navigator.serviceWorker.controller),
+            indexedDB: 'indexedDB' in window,
+            webSerial: 'serial' in navigator,
+            esptoolLoaded: Boolean(window.esptooljs),
+            esptoolLoadError: this.serializeError(window.esptoolLoadError || null),
+            grantedPorts: []
+        };
+
+        // USB IDs identify the adapter (CP210x, CH340, native USB-JTAG-Serial)
+        if (environment.webSerial) {
+            try {
+                const ports = await navigator.serial.getPorts();
+                environment.grantedPorts = ports.map(port => {
+                    const info = port.getInfo();
+                    return {
+                        usbVendorId: info.usbVendorId !== undefined ? `0x${info.usbVendorId.toString(16).padStart(4, '0')}` : null,
+                        usbProductId: info.usbProductId !== undefined ? `0x${info.usbProductId.toString(16).padStart(4, '0')}` : null
+                    };
+                });
+            } catch (error) {
+                environment.grantedPorts = this.serializeError(error);
+            }
+        }
+
+        return environment;
+    },
+
+    /**
+     * List prepared files with their sizes, offsets and hashes
+     * @param {Array} files - Prepared files {filename, offset, partition, data}
+     * @returns {Promise<Array>} [{filename, offset, partition, size, sha256}]
+     */
+    async describeFiles(files) {
+        const described = [];
+        for (const file of files) {
+            described.push({
+                filename: file.filename,
+                offset: `0x${file.offset.toString(16).toUpperCase()}`,
+                partition: file.partition ? file.partition.label : null,
+                size: file.data.byteLength,
+                sha256: await FirmwareCache.hash(file.data)
+            });
+        }
+        return described;
+    },
+
+    /**
+     * Format log lines as text with their levels
+     * @param {Array} lines - Log lines {time, type, message}
+     * @returns {string} One line per entry
+     */
+    formatLog(lines) {
+        return lines
+            .map(line => `${new Date(line.time).toISOString()} ${line.type.toUpperCase().padEnd(7)} ${line.message}`)
+            .join('\n') + '\n';
+    },
+
+    /**
+     * Build the diagnostic zip
+     * @param {Object} report - {log, device, firmware, settings, error}, each written to its own file
+     * @returns {Promise<Blob>} Zip file
+     */
+    async buildBundle(report) {
+        const zip = new JSZip();
+        const json = (value) => JSON.stringify(value, null, 2) + '\n';
+
+        zip.file('console.log', this.formatLog(report.log));
+        zip.file('log.json', json(report.log.map(line => ({ ...line, time: new Date(line.time).toISOString() }))));
+        zip.file('environment.json', json(await this.describeEnvironment()));
+        zip.file('device.json', json(report.device));
+        zip.file('firmware.json', json(report.firmware));
+        zip.file('settings.json', json(report.settings));
+        zip.file('error.json', json(report.error));
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+};
@@ -0,0 +1,347 @@
+/**
+ * Download Sources Module
+ * Downloads firmware assets through configurable sources (direct, CORS proxy, mirror)
+ * with retries, fallback between sources and Range resume
+ */
+
+const DownloadSources = {
+    STORAGE_KEY: 'hdsUpdater.downloadSources',
+    MAX_ATTEMPTS: 3,
+    BACKOFF_BASE_MS: 1000,
+    TYPES: ['direct', 'proxy', 'mirror'],
+
+    // Used until the user configures something else
+    DEFAULT_SOURCES: [
+        { type: 'direct' }
+    ],
+
+    // Parsed mirror indexes by URL
+    mirrorIndexes: {},
+
+    /**
+     * Load configured sources from localStorage
+     * @returns {Array} Array of {type, url} objects in fallback order
+     */
+    getSources() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (Array.isArray(stored) && stored.length > 0) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid download source configuration:', error);
+        }
+        return this.DEFAULT_SOURCES.slice();
+    },
+
+    /**
+     * Save sources to localStorage
+     * @param {Array} sources - Array of {type, url} objects in fallback order
+     */
+    saveSources(sources) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(sources));
+        this.mirrorIndexes = {};
+    },
+
+    /**
+     * Parse a source list with one source per line ("direct", "proxy <url>", "mirror <url>")
+     * @param {string} text - Source list
+     * @returns {Array} Array of {type, url} objects
+     */
+    parseSourceList(text) {
+        const sources = [];
+
+        text.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (line === '' || line.startsWith('#')) {
+                return;
+            }
+
+            const [type, url] = line.split(/\s+/, 2);
+            if (!this.TYPES.includes(type)) {
+                throw new Error(`Line ${index + 1}: unknown source type "${type}" (use ${this.TYPES.join(', ')})`);
+            }
+            if (type !== 'direct') {
+                if (!url) {
+                    throw new Error(`Line ${index + 1}: ${type} source needs a URL`);
+                }
+                try {
+                    new URL(url.replace('{url}', ''));
+                } catch (error) {
+                    throw new Error(`Line ${index + 1}: invalid URL "${url}"`);
+                }
+            }
+
+            sources.push(type === 'direct' ? { type } : { type, url });
+        });
+
+        if (sources.length === 0) {
+            throw new Error('At least one download source is required');
+        }
+
+        return sources;
+    },
+
+    /**
+     * Format sources as an editable list
+     * @param {Array} sources - Array of {type, url} objects
+     * @returns {string} One source per line
+     */
+    formatSourceList(sources) {
+        return sources.map(source => source.url ? `${source.type} ${source.url}` : source.type).join('\n');
+    },
+
+    /**
+     * Get the index URL of a mirror source
+     * @param {Object} source - Mirror source {type, url}
+     * @returns {string} URL of the mirror's JSON index
+     */
+    getMirrorIndexUrl(source) {
+        return source.url.endsWith('.json') ? source.url : `${source.url.replace(/\/$/, '')}/index.json`;
+    },
+
+    /**
+     * Fetch the JSON index of a mirror
+     * Format: {"releases": [{"id", "tag_name", "name", "published_at", "prerelease", "body", "body_html", "assets": [{"name", "url", "size"}]}]}
+     * Asset URLs may be relative to the index.
+     * @param {Object} source - Mirror source {type, url}
+     * @returns {Promise<Object>} Parsed index
+     */
+    async fetchMirrorIndex(source) {
+        const indexUrl = this.getMirrorIndexUrl(source);
+        if (this.mirrorIndexes[indexUrl]) {
+            return this.mirrorIndexes[indexUrl];
+        }
+
+        const response = await fetch(indexUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Mirror index ${indexUrl} returned ${response.status}`);
+        }
+
+        const index = await response.json();
+        if (!index || !Array.isArray(index.releases)) {
+            throw new Error(`Mirror index ${indexUrl} has no releases list`);
+        }
+
+        this.mirrorIndexes[indexUrl] = index;
+        return index;
+    },
+
+    /**
+     * Fetch releases from the first configured mirror, in the same shape as GitHub releases
+     * @returns {Promise<Array>} Array of release objects
+     */
+    async fetchMirrorReleases() {
+        const mirror = this.getSources().find(source => source.type === 'mirror');
+        if (!mirror) {
+            throw new Error('No mirror configured');
+        }
+
+        const index = await this.fetchMirrorIndex(mirror);
+        const indexUrl = this.getMirrorIndexUrl(mirror);
+
+        return index.releases.map((release, i) => ({
+            id: release.id || `mirror-${i}`,
+            draft: false,
+            ...release,
+            assets: (release.assets || []).map(asset => ({
+                ...asset,
+                browser_download_url: new URL(asset.url || asset.browser_download_url, indexUrl).href
+            }))
+        }));
+    },
+
+    /**
+     * Resolve the URL and headers to download an asset from a source
+     * @param {Object} source - Download source {type, url}
+     * @param {Object} asset - Release asset {name, url, browser_download_url}
+     * @param {string|null} tag - Release tag, needed to look the asset up on a mirror
+     * @returns {Promise<Object|null>} {url, headers}, or null if the source cannot provide the asset
+     */
+    async resolveAsset(source, asset, tag) {
+        if (source.type === 'direct') {
+            // The API asset URL supports CORS, the browser_download_url redirect does not
+            if (asset.url && asset.url.startsWith('https://api.github.com/')) {
+                return { url: asset.url, headers: { 'Accept': 'application/octet-stream' } };
+            }
+            return { url: asset.browser_download_url, headers: {} };
+        }
+
+        if (source.type === 'proxy') {
+            const url = source.url.includes('{url}') ?
+                source.url.replace('{url}', encodeURIComponent(asset.browser_download_url)) :
+                source.url + asset.browser_download_url;
+            return { url, headers: {} };
+        }
+
+        // Mirror: look the asset up by release tag and file name
+        const index = await this.fetchMirrorIndex(source);
+        const release = index.releases.find(r => r.tag_name === tag);
+        const mirrored = release && (release.assets || []).find(a => a.name === asset.name);
+        if (!mirrored) {
+            return null;
+        }
+        return {
+            url: new URL(mirrored.url || mirrored.browser_download_url, this.getMirrorIndexUrl(source)).href,
+            headers: {}
+        };
+    },
+
+    /**
+     * Download an asset, trying each configured source in order
+     * @param {Object} asset - Release asset {name, url, browser_download_url}
+     * @param {Object} options - Download options
+     * @param {string} options.tag - Release tag of the asset
+     * @param {Function} options.progressCallback - Callback (loaded, total)
+     * @param {Function} options.log - Log function (message, type)
+     * @returns {Promise<ArrayBuffer>} Asset data
+     */
+    async download(asset, { tag = null, progressCallback = null, log = null } = {}) {
+        const report = (message, type = 'info') => {
+            console.log(message);
+            if (log) {
+                log(message, type);
+            }
+        };
+        const failures = [];
+
+        for (const source of this.getSources()) {
+            const label = source.url ? `${source.type} (${source.url})` : source.type;
+
+            let target;
+            try {
+                target = await this.resolveAsset(source, asset, tag);
+            } catch (error) {
+                failures.push(`${label}: ${error.message}`);
+                report(`Download source ${label} unavailable: ${error.message}`, 'warning');
+                continue;
+            }
+            if (!target) {
+                failures.push(`${label}: asset not available`);
+                continue;
+            }
+
+            report(`Downloading ${asset.name} via ${label}...`, 'info');
+            try {
+                return await this.fetchWithRetry(target.url, target.headers, progressCallback, report);
+            } catch (error) {
+                failures.push(`${label}: ${error.message}`);
+                report(`Download via ${label} failed: ${error.message}`, 'warning');
+            }
+        }
+
+        throw new Error(`All download sources failed (${failures.join('; ')})`);
+    },
+
+    /**
+     * Fetch a URL with retries, exponential backoff and Range resume
+     * @param {string} url - URL to fetch
+     * @param {Object} headers - Extra request headers
+     * @param {Function} progressCallback - Callback (loaded, total)
+     * @param {Function} report - Log function (message, type)
+     * @returns {Promise<ArrayBuffer>} Response body
+     */
+    async fetchWithRetry(url, headers, progressCallback, report) {
+        // Bytes received so far survive failed attempts so they can be resumed
+        const state = { chunks: [], loaded: 0, total: 0 };
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.MAX_ATTEMPTS; attempt++) {
+            if (attempt > 1) {
+                const delay = this.BACKOFF_BASE_MS * Math.pow(2, attempt - 2);
+                const resume = state.loaded > 0 ? `, resuming at ${state.loaded} bytes` : '';
+                report(`Retrying in ${delay / 1000}s (attempt ${attempt}/${this.MAX_ATTEMPTS}${resume})...`, 'warning');
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            try {
+                await this.fetchInto(url, headers, state, progressCallback);
+                return this.combineChunks(state.chunks);
+            } catch (error) {
+                lastError = error instanceof TypeError ?
+                    new Error('Network error (CORS or connection failure)') :
+                    error;
+            }
+        }
+
+        throw lastError;
+    },
+
+    /**
+     * Fetch a URL into a resumable download state
+     * @param {string} url - URL to fetch
+     * @param {Object} headers - Extra request headers
+     * @param {Object} state - {chunks, loaded, total}, updated in place
+     * @param {Function} progressCallback - Callback (loaded, total)
+     * @returns {Promise<void>}
+     */
+    async fetchInto(url, headers, state, progressCallback) {
+        const requestHeaders = { ...headers };
+        if (state.loaded > 0) {
+            requestHeaders['Range'] = `bytes=${state.loaded}-`;
+        }
+
+        const response = await fetch(url, { headers: requestHeaders });
+
+        if (response.status === 416 && state.total > 0 && state.loaded >= state.total) {
+            return;  // Everything was already received
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        if (response.status === 206) {
+            const range = response.headers.get('content-range');
+            const match = range && range.match(/^bytes (\d+)-\d+\/(\d+|\*)$/);
+            if (!match || parseInt(match[1], 10) !== state.loaded) {
+                throw new Error(`Unexpected Content-Range "${range}"`);
+            }
+            if (match[2] !== '*') {
+                state.total = parseInt(match[2], 10);
+            }
+        } else {
+            // Server ignored the Range header, start over
+            state.chunks = [];
+            state.loaded = 0;
+            state.total = parseInt(response.headers.get('content-length'), 10) || 0;
+        }
+
+        const reader = response.body.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            state.chunks.push(value);
+            state.loaded += value.length;
+
+            if (progressCallback) {
+                // If no content-length, just report loaded bytes
+                progressCallback(state.loaded, state.total || state.loaded);
+            }
+        }
+
+        if (state.total > 0 && state.loaded < state.total) {
+            throw new Error(`Connection closed after ${state.loaded} of ${state.total} bytes`);
+        }
+    },
+
+    /**
+     * Combine downloaded chunks into a single ArrayBuffer
+     * @param {Array} chunks - Array of Uint8Array chunks
+     * @returns {ArrayBuffer} Combined data
+     */
+    combineChunks(chunks) {
+        const totalLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
+        const result = new Uint8Array(totalLength);
+        let offset = 0;
+
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return result.buffer;
+    }
+};
@@ -0,0 +1,311 @@
+/**
+ * ESP Image Module
+ * Parses and verifies ESP32 bootloader and application image headers
+ */
+
+const EspImage = {
+    MAGIC: 0xE9,
+    HEADER_SIZE: 24,
+    SEGMENT_HEADER_SIZE: 8,
+    CHECKSUM_MAGIC: 0xEF,
+    MAX_SEGMENTS: 16,
+    HASH_SIZE: 32,
+
+    // esp_app_desc_t sits at the start of the first segment of an app image
+    APP_DESC_OFFSET: 32,
+    APP_DESC_SIZE: 256,
+    APP_DESC_MAGIC: 0xABCD5432,
+
+    // Image chip IDs (esp_chip_id_t)
+    CHIP_IDS: {
+        0x0000: 'ESP32',
+        0x0002: 'ESP32-S2',
+        0x0005: 'ESP32-C3',
+        0x0009: 'ESP32-S3',
+        0x000C: 'ESP32-C2',
+        0x000D: 'ESP32-C6',
+        0x0010: 'ESP32-H2',
+        0x0012: 'ESP32-P4'
+    },
+
+    FLASH_MODES: {
+        0: 'qio',
+        1: 'qout',
+        2: 'dio',
+        3: 'dout'
+    },
+
+    FLASH_FREQS: {
+        0x0: '40m',
+        0x1: '26m',
+        0x2: '20m',
+        0xF: '80m'
+    },
+
+    FLASH_SIZES: {
+        0x0: '1MB',
+        0x1: '2MB',
+        0x2: '4MB',
+        0x3: '8MB',
+        0x4: '16MB',
+        0x5: '32MB',
+        0x6: '64MB',
+        0x7: '128MB'
+    },
+
+    /**
+     * Check whether a buffer starts with the ESP image magic byte
+     * @param {ArrayBuffer} buffer - Binary contents
+     * @returns {boolean} True if the buffer looks like an ESP image
+     */
+    isImage(buffer) {
+        return buffer.byteLength >= this.HEADER_SIZE &&
+            new Uint8Array(buffer, 0, 1)[0] === this.MAGIC;
+    },
+
+    /**
+     * Parse the image header and segment table
+     * @param {ArrayBuffer} buffer - Image contents
+     * @returns {Object} Parsed header with segments, checksum and hash locations
+     */
+    parseHeader(buffer) {
+        if (buffer.byteLength < this.HEADER_SIZE) {
+            throw new Error(`Image too small (${buffer.byteLength} bytes)`);
+        }
+
+        const view = new DataView(buffer);
+        const magic = view.getUint8(0);
+        if (magic !== this.MAGIC) {
+            throw new Error(`Invalid image magic 0x${magic.toString(16)} (expected 0xe9)`);
+        }
+
+        const segmentCount = view.getUint8(1);
+        if (segmentCount === 0 || segmentCount > this.MAX_SEGMENTS) {
+            throw new Error(`Invalid segment count ${segmentCount}`);
+        }
+
+        const flashModeByte = view.getUint8(2);
+        const sizeFreqByte = view.getUint8(3);
+        const chipId = view.getUint16(12, true);
+
+        const header = {
+            segmentCount,
+            flashMode: this.FLASH_MODES[flashModeByte] || `0x${flashModeByte.toString(16)}`,
+            flashFreq: this.FLASH_FREQS[sizeFreqByte & 0x0F] || `0x${(sizeFreqByte & 0x0F).toString(16)}`,
+            flashSize: this.FLASH_SIZES[sizeFreqByte >> 4] || `0x${(sizeFreqByte >> 4).toString(16)}`,
+            entryAddr: view.getUint32(4, true),
+            chipId,
+            chipName: this.CHIP_IDS[chipId] || `unknown (0x${chipId.toString(16)})`,
+            minChipRevision: view.getUint16(15, true),
+            maxChipRevision: view.getUint16(17, true),
+            hashAppended: view.getUint8(23) === 1,
+            segments: []
+        };
+
+        // Walk the segment table
+        let pos = this.HEADER_SIZE;
+        for (let i = 0; i < segmentCount; i++) {
+            if (pos + this.SEGMENT_HEADER_SIZE > buffer.byteLength) {
+                throw new Error(`Image truncated in segment ${i} header`);
+            }
+            const loadAddr = view.getUint32(pos, true);
+            const length = view.getUint32(pos + 4, true);
+            const dataOffset = pos + this.SEGMENT_HEADER_SIZE;
+            if (dataOffset + length > buffer.byteLength) {
+                throw new Error(`Segment ${i} (${length} bytes) extends past end of image`);
+            }
+            header.segments.push({ loadAddr, length, dataOffset });
+            pos = dataOffset + length;
+        }
+
+        // Checksum byte is the last byte of the 16-byte aligned block after the segments
+        header.checksumOffset = pos + (15 - (pos % 16));
+        if (header.checksumOffset >= buffer.byteLength) {
+            throw new Error('Image truncated before checksum');
+        }
+        header.checksum = view.getUint8(header.checksumOffset);
+        header.imageLength = header.checksumOffset + 1 +
+            (header.hashAppended ? this.HASH_SIZE : 0);
+
+        if (header.imageLength > buffer.byteLength) {
+            throw new Error('Image truncated before appended SHA-256');
+        }
+
+        return header;
+    },
+
+    /**
+     * Compute the XOR checksum over all segment data
+     * @param {ArrayBuffer} buffer - Image contents
+     * @param {Object} header - Parsed header from parseHeader
+     * @returns {number} Checksum byte
+     */
+    computeChecksum(buffer, header) {
+        let checksum = this.CHECKSUM_MAGIC;
+        for (const segment of header.segments) {
+            const bytes = new Uint8Array(buffer, segment.dataOffset, segment.length);
+            for (let i = 0; i < bytes.length; i++) {
+                checksum ^= bytes[i];
+            }
+        }
+        return checksum;
+    },
+
+    /**
+     * Parse the esp_app_desc_t block of an app image
+     * @param {ArrayBuffer} buffer - Image contents (at least the first 288 bytes)
+     * @returns {Object|null} {projectName, version, date, time, idfVersion, secureVersion, elfSha256}, or null if the image has no app description
+     */
+    parseAppDescription(buffer) {
+        if (buffer.byteLength < this.APP_DESC_OFFSET + this.APP_DESC_SIZE || !this.isImage(buffer)) {
+            return null;
+        }
+
+        const view = new DataView(buffer, this.APP_DESC_OFFSET, this.APP_DESC_SIZE);
+        if (view.getUint32(0, true) !== this.APP_DESC_MAGIC) {
+            return null;
+        }
+
+        const readString = (offset, length) => {
+            const bytes = new Uint8Array(buffer, this.APP_DESC_OFFSET + offset, length);
+            const end = bytes.indexOf(0);
+            return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end));
+        };
+
+        return {
+            secureVersion: view.getUint32(4, true),
+            version: readString(16, 32),
+            projectName: readString(48, 32),
+            time: readString(80, 16),
+            date: readString(96, 16),
+            idfVersion: readString(112, 32),
+            elfSha256: this.toHex(new Uint8Array(buffer, this.APP_DESC_OFFSET + 144, 32))
+        };
+    },
+
+    /**
+     * Compare two firmware version strings (e.g. "v1.2.3", "1.10.0-rc1")
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number|null} Negative if a < b, 0 if equal, positive if a > b, null if not comparable
+     */
+    compareVersions(a, b) {
+        if (a === b) {
+            return 0;
+        }
+
+        const parse = (version) => {
+            const match = version.trim().match(/^v?(\d+(?:\.\d+)*)(?:[-+](.*))?$/i);
+            return match ? { numbers: match[1].split('.').map(Number), suffix: match[2] || '' } : null;
+        };
+
+        const va = parse(a);
+        const vb = parse(b);
+        if (!va || !vb) {
+            return null;
+        }
+
+        const length = Math.max(va.numbers.length, vb.numbers.length);
+        for (let i = 0; i < length; i++) {
+            const diff = (va.numbers[i] || 0) - (vb.numbers[i] || 0);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+
+        // A pre-release suffix sorts before the plain release
+        if (va.suffix === vb.suffix) {
+            return 0;
+        }
+        if (!va.suffix || !vb.suffix) {
+            return va.suffix ? -1 : 1;
+        }
+        return va.suffix < vb.suffix ? -1 : 1;
+    },
+
+    /**
+     * Convert bytes to a lowercase hex string
+     * @param {Uint8Array} bytes - Bytes to convert
+     * @returns {string} Hex string
+     */
+    toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Parse an image and verify its checksum and appended SHA-256
+     * @param {ArrayBuffer} buffer - Image contents
+     * @returns {Promise<Object>} Header plus checksumValid, hashValid (null when no hash is appended), expectedHash, actualHash and appDescription
+     */
+    async inspect(buffer) {
+        const header = this.parseHeader(buffer);
+        const result = {
+            ...header,
+            checksumValid: this.computeChecksum(buffer, header) === header.checksum,
+            hashValid: null,
+            expectedHash: null,
+            actualHash: null,
+            appDescription: this.parseAppDescription(buffer)
+        };
+
+        if (header.hashAppended) {
+            const hashStart = header.checksumOffset + 1;
+            const digest = await crypto.subtle.digest('SHA-256', buffer.slice(0, hashStart));
+            result.expectedHash = this.toHex(new Uint8Array(buffer, hashStart, this.HASH_SIZE));
+            result.actualHash = this.toHex(new Uint8Array(digest));
+            result.hashValid = result.expectedHash === result.actualHash;
+        }
+
+        return result;
+    },
+
+    /**
+     * Rewrite the flash mode, frequency and size in an image header and update the appended SHA-256
+     * Frequencies use the ESP32/ESP32-S2/ESP32-S3/ESP32-C3 encoding.
+     * @param {ArrayBuffer} buffer - Image contents
+     * @param {Object} params - {flashMode, flashFreq, flashSize}, 'keep' leaves a field unchanged
+     * @returns {Promise<ArrayBuffer>} Patched copy of the image
+     */
+    async setFlashParams(buffer, { flashMode = 'keep', flashFreq = 'keep', flashSize = 'keep' } = {}) {
+        const header = this.parseHeader(buffer);
+        const patched = buffer.slice(0);
+        const bytes = new Uint8Array(patched);
+        const findCode = (table, name) => {
+            const entry = Object.entries(table).find(([, value]) => value === name);
+            return entry ? Number(entry[0]) : null;
+        };
+
+        if (flashMode !== 'keep') {
+            const mode = findCode(this.FLASH_MODES, flashMode);
+            if (mode === null) {
+                throw new Error(`Unknown flash mode "${flashMode}"`);
+            }
+            bytes[2] = mode;
+        }
+
+        if (flashFreq !== 'keep') {
+            const freq = findCode(this.FLASH_FREQS, flashFreq);
+            if (freq === null) {
+                throw new Error(`Unknown flash frequency "${flashFreq}"`);
+            }
+            bytes[3] = (bytes[3] & 0xF0) | freq;
+        }
+
+        if (flashSize !== 'keep') {
+            const size = findCode(this.FLASH_SIZES, flashSize);
+            if (size === null) {
+                throw new Error(`Unknown flash size "${flashSize}"`);
+            }
+            bytes[3] = (size << 4) | (bytes[3] & 0x0F);
+        }
+
+        // The header is covered by the SHA-256, but not by the checksum
+        if (header.hashAppended) {
+            const hashStart = header.checksumOffset + 1;
+            const digest = await crypto.subtle.digest('SHA-256', patched.slice(0, hashStart));
+            bytes.set(new Uint8Array(digest), hashStart);
+        }
+
+        return patched;
+    }
+};
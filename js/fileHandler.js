@@ -5,64 +5,735 @@
 
 const FileHandler = {
     /**
-     * Extract zip file and return firmware files
-     * @param {File} file - Zip file to extract
-     * @returns {Promise<Object>} Object containing firmware files
+     * Extract zip file and return firmware files and the package manifest
+     * @param {File|ArrayBuffer} file - Zip file to extract
+     * @returns {Promise<Object>} {files: {filename: ArrayBuffer}, manifest: parsed manifest.json or null}
      */
     async extractZipFile(file) {
+        const files = {};
+        let manifestText = null;
+
         try {
             const zip = await JSZip.loadAsync(file);
-            const files = {};
-
-            // Extract all .bin files
-            const binFiles = Object.keys(zip.files).filter(name =>
-                name.endsWith('.bin') && !name.includes('__MACOSX')
+            const entries = Object.keys(zip.files).filter(name =>
+                !zip.files[name].dir && !name.includes('__MACOSX')
             );
 
-            for (const filename of binFiles) {
+            // Extract all .bin files
+            for (const filename of entries.filter(name => name.endsWith('.bin'))) {
                 const data = await zip.files[filename].async('arraybuffer');
                 const name = filename.split('/').pop(); // Get filename without path
                 files[name] = data;
             }
 
-            return files;
+            const manifests = entries.filter(name => name.split('/').pop() === this.MANIFEST_FILENAME);
+            if (manifests.length > 1) {
+                throw new Error(`more than one ${this.MANIFEST_FILENAME} (${manifests.join(', ')})`);
+            }
+            if (manifests.length === 1) {
+                manifestText = await zip.files[manifests[0]].async('string');
+            }
         } catch (error) {
             throw new Error(`Failed to extract zip file: ${error.message}`);
         }
+
+        return {
+            files,
+            manifest: manifestText !== null ? this.parseManifest(manifestText) : null
+        };
+    },
+
+    /**
+     * Parse and check the manifest.json of a firmware package
+     * @param {string} text - Manifest contents
+     * @returns {Object} {product, version, chipFamily, flash {mode, freq, size}, parts [{filename, offset, sha256}], minUpdaterVersion, releaseNotes}
+     */
+    parseManifest(text) {
+        const fail = (message) => {
+            throw new Error(`Invalid ${this.MANIFEST_FILENAME}: ${message}`);
+        };
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const readString = (object, field, path, required) => {
+            const value = object[field];
+            if (value === undefined || value === null) {
+                if (required) {
+                    fail(`"${path}" is missing`);
+                }
+                return null;
+            }
+            if (typeof value !== 'string' || value.trim() === '') {
+                fail(`"${path}" must be a non-empty string`);
+            }
+            return value.trim();
+        };
+        const readChoice = (object, field, path, table) => {
+            const value = readString(object, field, path, false);
+            const allowed = Object.values(table);
+            if (value !== null && !allowed.includes(value)) {
+                fail(`"${path}" is "${value}", expected one of ${allowed.join(', ')}`);
+            }
+            return value;
+        };
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            fail(`not valid JSON (${error.message})`);
+        }
+        if (!isObject(json)) {
+            fail('expected a JSON object');
+        }
+
+        // "name" is the ESP Web Tools spelling of "product"
+        const product = readString(json, json.product !== undefined ? 'product' : 'name', 'product', true);
+        const version = readString(json, 'version', 'version', true);
+
+        // ESP Web Tools lists one build per chip, the scale only has one
+        if (!Array.isArray(json.builds) || json.builds.length === 0) {
+            fail('"builds" must be an array with one build');
+        }
+        if (json.builds.length > 1) {
+            fail(`"builds" lists ${json.builds.length} builds, only one build per package is supported`);
+        }
+        const build = json.builds[0];
+        if (!isObject(build)) {
+            fail('"builds[0]" must be an object');
+        }
+        const chipFamily = readChoice(build, 'chipFamily', 'builds[0].chipFamily', EspImage.CHIP_IDS);
+        if (chipFamily === null) {
+            fail('"builds[0].chipFamily" is missing');
+        }
+
+        if (!Array.isArray(build.parts) || build.parts.length === 0) {
+            fail('"builds[0].parts" must be a non-empty array');
+        }
+        const parts = build.parts.map((part, index) => {
+            const path = `builds[0].parts[${index}]`;
+            if (!isObject(part)) {
+                fail(`"${path}" must be an object`);
+            }
+
+            // Paths are relative URLs in ESP Web Tools, files in the zip are matched by name
+            const filename = readString(part, 'path', `${path}.path`, true).split('/').pop();
+            if (!filename.toLowerCase().endsWith('.bin')) {
+                fail(`"${path}.path" must name a .bin file, got "${filename}"`);
+            }
+
+            // Offsets are numbers, or hex strings like "0x10000"
+            let offset = part.offset;
+            if (typeof offset === 'string' && /^0x[0-9a-f]+$/i.test(offset.trim())) {
+                offset = parseInt(offset.trim(), 16);
+            }
+            if (!Number.isInteger(offset) || offset < 0) {
+                fail(`"${path}.offset" must be a non-negative integer or a hex string, got ${JSON.stringify(part.offset)}`);
+            }
+            if (offset % this.FLASH_SECTOR_SIZE !== 0) {
+                fail(`"${path}.offset" 0x${offset.toString(16).toUpperCase()} of ${filename} is not aligned to a ${this.FLASH_SECTOR_SIZE / 1024} KB sector`);
+            }
+
+            const sha256 = readString(part, 'sha256', `${path}.sha256`, false);
+            if (sha256 !== null && !/^[0-9a-f]{64}$/i.test(sha256)) {
+                fail(`"${path}.sha256" of ${filename} must be 64 hex digits`);
+            }
+
+            return { filename, offset, sha256: sha256 !== null ? sha256.toLowerCase() : null };
+        });
+
+        parts.forEach((part, index) => {
+            const other = parts.slice(0, index).find(previous => previous.filename === part.filename || previous.offset === part.offset);
+            if (other) {
+                fail(other.filename === part.filename ?
+                    `${part.filename} is listed more than once` :
+                    `${other.filename} and ${part.filename} are both mapped to 0x${part.offset.toString(16).toUpperCase()}`);
+            }
+        });
+
+        const flash = json.flash === undefined ? {} : json.flash;
+        if (!isObject(flash)) {
+            fail('"flash" must be an object');
+        }
+
+        return {
+            product,
+            version,
+            chipFamily,
+            flash: {
+                mode: readChoice(flash, 'mode', 'flash.mode', EspImage.FLASH_MODES),
+                freq: readChoice(flash, 'freq', 'flash.freq', EspImage.FLASH_FREQS),
+                size: readChoice(flash, 'size', 'flash.size', EspImage.FLASH_SIZES)
+            },
+            parts,
+            minUpdaterVersion: readString(json, 'minUpdaterVersion', 'minUpdaterVersion', false),
+            releaseNotes: readString(json, 'releaseNotes', 'releaseNotes', false)
+        };
+    },
+
+    /**
+     * Check firmware files against their package manifest and keep the files it lists
+     * @param {Object} manifest - Parsed manifest
+     * @param {Object} files - Object containing firmware files {filename: ArrayBuffer}
+     * @param {string} updaterVersion - Version of this updater
+     * @returns {Promise<Object>} Validation result with isValid flag, message, files and warnings
+     */
+    async applyManifest(manifest, files, updaterVersion) {
+        if (manifest.minUpdaterVersion) {
+            const diff = EspImage.compareVersions(updaterVersion, manifest.minUpdaterVersion);
+            if (diff === null) {
+                return {
+                    isValid: false,
+                    message: `${this.MANIFEST_FILENAME}: minUpdaterVersion "${manifest.minUpdaterVersion}" is not a version number`
+                };
+            }
+            if (diff < 0) {
+                return {
+                    isValid: false,
+                    message: `${manifest.product} ${manifest.version} needs updater ${manifest.minUpdaterVersion} or newer, this is ${updaterVersion}. Reload the page to update.`
+                };
+            }
+        }
+
+        const listed = {};
+        for (const part of manifest.parts) {
+            const data = files[part.filename];
+            if (!data) {
+                return {
+                    isValid: false,
+                    message: `${part.filename} is listed in ${this.MANIFEST_FILENAME} but missing from the zip`
+                };
+            }
+            if (part.sha256) {
+                const actual = await FirmwareCache.hash(data);
+                if (actual !== part.sha256) {
+                    return {
+                        isValid: false,
+                        message: `${part.filename} does not match the SHA-256 in ${this.MANIFEST_FILENAME} (expected ${part.sha256}, got ${actual})`
+                    };
+                }
+            }
+            listed[part.filename] = data;
+        }
+
+        const warnings = Object.keys(files)
+            .filter(name => !listed[name])
+            .map(name => `${name} is not listed in ${this.MANIFEST_FILENAME} and will not be flashed`);
+        const unhashed = manifest.parts.filter(part => !part.sha256).map(part => part.filename);
+        if (unhashed.length > 0) {
+            warnings.push(`${this.MANIFEST_FILENAME} has no SHA-256 for ${unhashed.join(', ')}, their contents are not checked`);
+        }
+
+        return {
+            isValid: true,
+            message: `${manifest.product} ${manifest.version} for ${manifest.chipFamily}`,
+            files: listed,
+            warnings
+        };
+    },
+
+    /**
+     * Pack loose .bin files into a zip, so they load and cache like a firmware zip
+     * @param {Array<File>} files - Selected or dropped .bin files
+     * @returns {Promise<ArrayBuffer>} Zip contents
+     */
+    async createZipFromFiles(files) {
+        const zip = new JSZip();
+        for (const file of files) {
+            if (!file.name.toLowerCase().endsWith('.bin')) {
+                throw new Error(`${file.name} is not a .bin file. Select one firmware zip or one or more .bin files.`);
+            }
+            zip.file(file.name, await this.getBinaryBuffer(file));
+        }
+        return zip.generateAsync({ type: 'arraybuffer' });
+    },
+
+    /**
+     * Check whether a binary is a merged factory image (bootloader, partition table and partitions from 0x0)
+     * @param {ArrayBuffer} data - Binary contents
+     * @returns {boolean} True if it starts with an image header and holds a valid partition table at 0x8000
+     */
+    isMergedImage(data) {
+        // A bootloader alone ends before the partition table
+        if (!EspImage.isImage(data) || data.byteLength < this.PARTITION_TABLE_OFFSET + this.PARTITION_ENTRY_SIZE) {
+            return false;
+        }
+        if (new DataView(data).getUint16(this.PARTITION_TABLE_OFFSET, true) !== this.PARTITION_MAGIC) {
+            return false;
+        }
+
+        // An app image could hold the magic at 0x8000 by chance, a whole table cannot
+        try {
+            this.parsePartitionTable(data.slice(this.PARTITION_TABLE_OFFSET, this.PARTITION_TABLE_OFFSET + this.FLASH_SECTOR_SIZE));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Split a merged factory image into the bootloader, the partition table and one file per partition
+     * @param {ArrayBuffer} data - Merged image flashed at 0x0
+     * @returns {Object} {files: {filename: ArrayBuffer}, warnings}
+     */
+    splitMergedImage(data) {
+        const tableEnd = this.PARTITION_TABLE_OFFSET + this.FLASH_SECTOR_SIZE;
+        const table = data.slice(this.PARTITION_TABLE_OFFSET, tableEnd);
+        const partitions = this.parsePartitionTable(table).sort((a, b) => a.offset - b.offset);
+        const files = {
+            'bootloader.bin': data.slice(0, this.PARTITION_TABLE_OFFSET),
+            'partitions.bin': table
+        };
+        const warnings = [];
+
+        // Erased regions are kept, so e.g. a blank otadata still resets the boot partition
+        let covered = tableEnd;
+        for (const partition of partitions) {
+            if (partition.offset >= data.byteLength) {
+                break;
+            }
+            if (partition.offset > covered && !this.isErased(new Uint8Array(data, covered, partition.offset - covered))) {
+                warnings.push(`Merged image has data outside any partition at 0x${covered.toString(16).toUpperCase()}, it is not flashed`);
+            }
+
+            const end = Math.min(partition.offset + partition.size, data.byteLength);
+            files[`${partition.label}.bin`] = data.slice(partition.offset, end);
+            covered = Math.max(covered, end);
+        }
+        if (covered < data.byteLength) {
+            warnings.push(`Merged image extends past the last partition (0x${covered.toString(16).toUpperCase()}), the rest is not flashed`);
+        }
+
+        return { files, warnings };
+    },
+
+    /**
+     * Replace a merged factory image among the firmware files with its parts
+     * @param {Object} files - Object containing firmware files {filename: ArrayBuffer}
+     * @returns {Object} {files, messages, warnings}
+     */
+    expandMergedImages(files) {
+        const merged = Object.keys(files).filter(name => this.isMergedImage(files[name]));
+        if (merged.length === 0) {
+            return { files, messages: [], warnings: [] };
+        }
+
+        // Build output often holds the merged image next to its parts, which are used as they are
+        const others = Object.keys(files).filter(name => !merged.includes(name));
+        if (others.length > 0) {
+            const remaining = Object.fromEntries(others.map(name => [name, files[name]]));
+            return {
+                files: remaining,
+                messages: [],
+                warnings: merged.map(name => `Ignoring merged factory image ${name}, flashing the separate files instead`)
+            };
+        }
+        if (merged.length > 1) {
+            throw new Error(`Found ${merged.length} merged factory images (${merged.join(', ')}), select only one`);
+        }
+
+        const split = this.splitMergedImage(files[merged[0]]);
+        return {
+            files: split.files,
+            messages: [`${merged[0]} is a merged factory image, split into ${Object.keys(split.files).join(', ')}`],
+            warnings: split.warnings
+        };
+    },
+
+    /**
+     * Merge prepared files into one image flashed at 0x0, the reverse of splitMergedImage
+     * @param {Array} files - Prepared files {filename, offset, partition, data}, without overlaps
+     * @param {Object} params - {flashMode, flashFreq, flashSize} for the bootloader header, 'keep' leaves a field unchanged
+     * @returns {Promise<Object>} {data: ArrayBuffer, manifest: {size, sha256, flashMode, flashFreq, flashSize, regions}}
+     */
+    async buildMergedImage(files, params) {
+        const sorted = [...files].sort((a, b) => a.offset - b.offset);
+        const size = Math.max(...sorted.map(file => file.offset + file.data.byteLength));
+        const merged = new Uint8Array(size).fill(0xFF);
+        let header = null;
+
+        for (const file of sorted) {
+            let data = file.data;
+            if (file.offset === 0 && EspImage.isImage(data)) {
+                data = await EspImage.setFlashParams(data, params);
+                header = EspImage.parseHeader(data);
+            }
+            merged.set(new Uint8Array(data), file.offset);
+        }
+
+        const regions = [];
+        for (const file of sorted) {
+            const end = file.offset + file.data.byteLength;
+            regions.push({
+                filename: file.filename,
+                offset: `0x${file.offset.toString(16).toUpperCase()}`,
+                end: `0x${end.toString(16).toUpperCase()}`,
+                size: file.data.byteLength,
+                partition: file.partition ? file.partition.label : null,
+                // Hash of the bytes in the merged image, i.e. after patching the bootloader header
+                sha256: await FirmwareCache.hash(merged.slice(file.offset, end))
+            });
+        }
+
+        return {
+            data: merged.buffer,
+            manifest: {
+                size,
+                sha256: await FirmwareCache.hash(merged),
+                flashMode: header ? header.flashMode : null,
+                flashFreq: header ? header.flashFreq : null,
+                flashSize: header ? header.flashSize : null,
+                regions
+            }
+        };
+    },
+
+    /**
+     * Check whether data is entirely erased flash (0xFF)
+     * @param {ArrayBuffer|Uint8Array} data - Data to check
+     * @returns {boolean} True if every byte is 0xFF
+     */
+    isErased(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        return bytes.every(byte => byte === 0xFF);
     },
 
     /**
      * Validate firmware files
      * @param {Object} files - Object containing firmware files
-     * @returns {Object} Validation result with isValid flag and message
+     * @param {Object|null} manifest - Parsed package manifest, if the zip has one
+     * @returns {Object} Validation result with isValid flag, message, partitions and warnings
      */
-    validateFirmwareFiles(files) {
+    validateFirmwareFiles(files, manifest = null) {
         const fileNames = Object.keys(files);
 
         if (fileNames.length === 0) {
             return {
                 isValid: false,
-                message: 'No .bin files found in zip archive'
+                message: 'No .bin files found'
             };
         }
 
-        // Check for at least one of the common firmware files
-        const hasFirmware = fileNames.some(name =>
+        // Map files onto the bundled partition table, if there is one
+        let partitions;
+        try {
+            partitions = this.getPartitionTable(files, manifest);
+        } catch (error) {
+            return {
+                isValid: false,
+                message: error.message
+            };
+        }
+
+        // Check for at least one of the common firmware files, or a file named after an app partition.
+        // A manifest says what the package contains, e.g. only a filesystem image.
+        const hasFirmware = manifest || fileNames.some(name =>
             name.toLowerCase().includes('firmware') ||
-            name.toLowerCase().includes('app')
+            name.toLowerCase().includes('app') ||
+            (partitions && (this.resolveFlashTarget(name, partitions).partition || {}).typeName === 'app')
         );
 
         if (!hasFirmware) {
             return {
                 isValid: false,
-                message: 'No firmware.bin or app binary found in zip archive'
+                message: 'No firmware.bin or app binary found'
+            };
+        }
+
+        const warnings = [];
+        if (partitions) {
+            for (const name of fileNames) {
+                const target = this.resolveFlashTarget(name, partitions, manifest);
+                if (target.partition && files[name].byteLength > target.partition.size) {
+                    return {
+                        isValid: false,
+                        message: `${name} (${files[name].byteLength} bytes) does not fit in partition "${target.partition.label}" (${target.partition.size} bytes)`
+                    };
+                }
+                if (target.source === 'default') {
+                    warnings.push(`${name} does not match any partition, using default offset 0x${target.offset.toString(16).toUpperCase()}`);
+                }
+            }
+        } else if (!manifest) {
+            warnings.push('No partition table found, using default ESP32-S3 offsets');
+        }
+
+        return {
+            isValid: true,
+            message: manifest ?
+                `Found ${fileNames.length} firmware file(s) listed in ${this.MANIFEST_FILENAME}: ${fileNames.join(', ')}` :
+                `Found ${fileNames.length} firmware file(s): ${fileNames.join(', ')}`,
+            files: fileNames,
+            partitions,
+            warnings
+        };
+    },
+
+    /**
+     * Check whether a firmware file must be a bootable ESP image (bootloader or app)
+     * @param {string} filename - Name of the firmware file
+     * @param {Array|null} partitions - Parsed partition table entries, if available
+     * @param {Object|null} manifest - Parsed package manifest, if the zip has one
+     * @returns {boolean} True if the file should carry an ESP image header
+     */
+    isImageFile(filename, partitions = null, manifest = null) {
+        const name = filename.toLowerCase();
+        if (name.includes('bootloader')) {
+            return true;
+        }
+
+        const target = this.resolveFlashTarget(filename, partitions, manifest);
+        // Anything a manifest maps below the partition table is the bootloader (0x0, or 0x1000 on the ESP32)
+        if (target.source === 'manifest' && target.offset < this.PARTITION_TABLE_OFFSET) {
+            return true;
+        }
+        if (target.partition) {
+            return target.partition.typeName === 'app';
+        }
+        return !name.includes('boot_app0') && (name.includes('firmware') || name.includes('app'));
+    },
+
+    /**
+     * Inspect bootloader and app images: header, checksum, SHA-256 and target chip
+     * @param {Object} files - Object containing firmware files {filename: ArrayBuffer}
+     * @param {Object|null} chip - Connected chip {chipName, imageChipId}, or null to skip the chip check
+     * @param {Object|null} manifest - Parsed package manifest, images must match its chip, version and flash settings
+     * @returns {Promise<Object>} Validation result with isValid flag, message and images {filename: info}
+     */
+    async inspectFirmwareImages(files, chip = null, manifest = null) {
+        const partitions = this.getPartitionTable(files, manifest);
+        const images = {};
+
+        if (manifest && chip && manifest.chipFamily !== chip.chipName) {
+            return {
+                isValid: false,
+                message: `${manifest.product} ${manifest.version} is for ${manifest.chipFamily}, but the connected device is ${chip.chipName}`,
+                images
             };
         }
 
+        for (const [filename, data] of Object.entries(files)) {
+            // An erased app slot of a merged image carries no image
+            if (!this.isImageFile(filename, partitions, manifest) || this.isErased(data)) {
+                continue;
+            }
+
+            let info;
+            try {
+                info = await EspImage.inspect(data);
+            } catch (error) {
+                return {
+                    isValid: false,
+                    message: `${filename} is not a valid ESP image: ${error.message}`,
+                    images
+                };
+            }
+
+            if (!info.checksumValid) {
+                return {
+                    isValid: false,
+                    message: `${filename} is corrupt: image checksum does not match`,
+                    images
+                };
+            }
+            if (info.hashValid === false) {
+                return {
+                    isValid: false,
+                    message: `${filename} is corrupt: SHA-256 does not match (expected ${info.expectedHash}, got ${info.actualHash})`,
+                    images
+                };
+            }
+            if (chip && info.chipId !== chip.imageChipId) {
+                return {
+                    isValid: false,
+                    message: `${filename} is built for ${info.chipName}, but the connected device is ${chip.chipName}`,
+                    images
+                };
+            }
+            if (manifest) {
+                const mismatch = this.checkImageAgainstManifest(filename, info, partitions, manifest);
+                if (mismatch) {
+                    return { isValid: false, message: mismatch, images };
+                }
+            }
+
+            images[filename] = info;
+        }
+
+        const count = Object.keys(images).length;
         return {
             isValid: true,
-            message: `Found ${fileNames.length} firmware file(s): ${fileNames.join(', ')}`,
-            files: fileNames
+            message: chip ?
+                `Verified ${count} image(s) for ${chip.chipName}` :
+                `Verified ${count} image(s)`,
+            images
+        };
+    },
+
+    /**
+     * Compare an inspected image with what the package manifest declares
+     * @param {string} filename - Name of the image file
+     * @param {Object} info - Image info from EspImage.inspect
+     * @param {Array|null} partitions - Parsed partition table entries, if available
+     * @param {Object} manifest - Parsed package manifest
+     * @returns {string|null} Error message, or null if the image matches
+     */
+    checkImageAgainstManifest(filename, info, partitions, manifest) {
+        if (info.chipName !== manifest.chipFamily) {
+            return `${filename} is built for ${info.chipName}, but ${this.MANIFEST_FILENAME} declares ${manifest.chipFamily}`;
+        }
+
+        // Only the bootloader header decides the flash settings the chip boots with
+        const target = this.resolveFlashTarget(filename, partitions, manifest);
+        if (target.offset < this.PARTITION_TABLE_OFFSET) {
+            const settings = [
+                ['mode', manifest.flash.mode, info.flashMode],
+                ['frequency', manifest.flash.freq, info.flashFreq],
+                ['size', manifest.flash.size, info.flashSize]
+            ];
+            for (const [name, declared, actual] of settings) {
+                if (declared && declared !== actual) {
+                    return `${this.MANIFEST_FILENAME} declares flash ${name} ${declared}, but ${filename} is built for ${actual}`;
+                }
+            }
+        }
+
+        const version = info.appDescription ? info.appDescription.version : null;
+        if (version && EspImage.compareVersions(version, manifest.version) !== 0) {
+            return `${filename} is version ${version}, but ${this.MANIFEST_FILENAME} declares ${manifest.version}`;
+        }
+
+        return null;
+    },
+
+    /**
+     * Build the file name for a flash backup
+     * @param {string} macAddress - Device MAC address
+     * @param {string} label - Region label ('full' or a partition label)
+     * @param {number} offset - Flash offset of the region
+     * @param {Date} date - Time of the backup
+     * @returns {string} File name like hds-backup_aabbccddeeff_full_0x0_20261019-093000.bin
+     */
+    buildBackupFilename(macAddress, label, offset, date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const mac = macAddress.replace(/:/g, '').toLowerCase();
+        const timestamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        const safeLabel = label.replace(/[^A-Za-z0-9-]/g, '-');
+        return `hds-backup_${mac}_${safeLabel}_0x${offset.toString(16)}_${timestamp}.bin`;
+    },
+
+    /**
+     * Parse a file name produced by buildBackupFilename
+     * @param {string} filename - Backup file name
+     * @returns {Object|null} {macAddress, label, offset, timestamp}, or null if the name does not match
+     */
+    parseBackupFilename(filename) {
+        // Browsers append " (1)" etc. when the same name is downloaded twice
+        const match = filename.match(/^hds-backup_([0-9a-f]{12})_([A-Za-z0-9-]+)_0x([0-9a-f]+)_(\d{8}-\d{6})(?: ?\(\d+\))?\.bin$/i);
+        if (!match) {
+            return null;
+        }
+
+        return {
+            macAddress: match[1].toLowerCase().match(/../g).join(':'),
+            label: match[2],
+            offset: parseInt(match[3], 16),
+            timestamp: match[4]
+        };
+    },
+
+    /**
+     * Check whether a backup can be restored onto the connected device
+     * @param {string} filename - Backup file name
+     * @param {number} size - Backup size in bytes
+     * @param {number} offset - Flash offset the backup will be written to
+     * @param {Object} device - Connected device {macAddress, flashSize, partitions}
+     * @returns {Object} Object with errors (block the restore) and warnings (need confirmation)
+     */
+    checkBackupCompatibility(filename, size, offset, device) {
+        const errors = [];
+        const warnings = [];
+        const backup = this.parseBackupFilename(filename);
+        const isFullDump = backup ? backup.label === 'full' : offset === 0 && size === device.flashSize;
+
+        if (size === 0) {
+            errors.push('Backup file is empty');
+        }
+        if (offset % this.FLASH_SECTOR_SIZE !== 0) {
+            errors.push(`Offset 0x${offset.toString(16)} is not aligned to a 4KB sector`);
+        }
+        if (device.flashSize && offset + size > device.flashSize) {
+            errors.push(`Backup (${size} bytes at 0x${offset.toString(16)}) does not fit in ${device.flashSize} bytes of flash`);
+        }
+
+        if (isFullDump && device.flashSize && size !== device.flashSize) {
+            warnings.push(`Full flash backup is ${size} bytes, but the device has ${device.flashSize} bytes of flash`);
+        }
+
+        if (!backup) {
+            warnings.push('File name does not identify the device it was taken from');
+        } else {
+            const deviceMac = device.macAddress.toLowerCase();
+            if (backup.macAddress !== deviceMac) {
+                warnings.push(`Backup was taken from ${backup.macAddress}, but the connected device is ${deviceMac}`);
+            }
+            if (backup.offset !== offset) {
+                warnings.push(`Backup was read from 0x${backup.offset.toString(16)}, but will be written to 0x${offset.toString(16)}`);
+            }
+
+            // A partition dump must still fit the partition with the same label
+            const partition = !isFullDump && device.partitions ?
+                device.partitions.find(p => p.label.replace(/[^A-Za-z0-9-]/g, '-') === backup.label) :
+                null;
+            if (partition && (partition.offset !== offset || partition.size !== size)) {
+                warnings.push(`Partition ${partition.label} on the device is ${partition.size} bytes at 0x${partition.offset.toString(16)}, backup is ${size} bytes at 0x${offset.toString(16)}`);
+            }
+        }
+
+        return { errors, warnings, backup, isFullDump };
+    },
+
+    /**
+     * Work out where the NVS partition ends up after flashing
+     * @param {Array} devicePartitions - Partition table read from the device
+     * @param {Array|null} newPartitions - Partition table of the new firmware, null if it keeps the device's layout
+     * @param {Array} files - Prepared files {filename, offset, data}
+     * @returns {Object} Object with source and target partitions, moved (NVS must be written back) and errors
+     */
+    planNvsPreservation(devicePartitions, newPartitions, files) {
+        const errors = [];
+        const findNvs = (partitions, label) => {
+            const candidates = partitions.filter(p => p.typeName === 'data' && p.subtypeName === 'nvs');
+            return candidates.find(p => p.label === label) || candidates[0] || null;
+        };
+
+        const source = findNvs(devicePartitions || [], 'nvs');
+        if (!source) {
+            errors.push('the device has no NVS partition');
+            return { source, target: null, moved: false, errors };
+        }
+        if (source.encrypted) {
+            errors.push(`NVS partition ${source.label} on the device is encrypted`);
+        }
+
+        const target = newPartitions ? findNvs(newPartitions, source.label) : source;
+        if (!target) {
+            errors.push('the new partition table has no NVS partition');
+            return { source, target, moved: false, errors };
+        }
+
+        // A file written into the NVS range replaces the settings on purpose
+        const end = target.offset + target.size;
+        files.forEach(file => {
+            if (file.offset < end && file.offset + file.data.byteLength > target.offset) {
+                errors.push(`${file.filename} is written into NVS partition ${target.label} (0x${target.offset.toString(16).toUpperCase()}-0x${end.toString(16).toUpperCase()})`);
+            }
+        });
+
+        return {
+            source,
+            target,
+            moved: target.offset !== source.offset || target.size !== source.size,
+            errors
         };
     },
 
@@ -80,21 +751,243 @@ const FileHandler = {
         });
     },
 
+    // Smallest unit the flash can erase
+    FLASH_SECTOR_SIZE: 0x1000,
+
+    // Package manifest in the firmware zip, in the spirit of the ESP Web Tools manifest
+    MANIFEST_FILENAME: 'manifest.json',
+
+    // ESP-IDF partition table layout
+    PARTITION_TABLE_OFFSET: 0x8000,
+    PARTITION_TABLE_MAX_SIZE: 0xC00,
+    PARTITION_ENTRY_SIZE: 32,
+    PARTITION_MAGIC: 0x50AA,
+    PARTITION_MD5_MAGIC: 0xEBEB,
+
+    PARTITION_TYPES: {
+        0x00: 'app',
+        0x01: 'data'
+    },
+
+    PARTITION_SUBTYPES: {
+        app: {
+            0x00: 'factory',
+            0x20: 'test'
+        },
+        data: {
+            0x00: 'ota',
+            0x01: 'phy',
+            0x02: 'nvs',
+            0x03: 'coredump',
+            0x04: 'nvs_keys',
+            0x05: 'efuse',
+            0x06: 'undefined',
+            0x80: 'esphttpd',
+            0x81: 'fat',
+            0x82: 'spiffs',
+            0x83: 'littlefs'
+        }
+    },
+
+    // Data partitions wiped by a factory reset: settings/calibration and filesystems
+    FACTORY_RESET_SUBTYPES: ['nvs', 'fat', 'spiffs', 'littlefs'],
+
     /**
-     * Determine flash offset for a given file
+     * Find the partition table binary among the firmware files
+     * @param {Object} files - Object containing firmware files {filename: ArrayBuffer}
+     * @param {Object|null} manifest - Parsed package manifest, if the zip has one
+     * @returns {string|null} Filename of the partition table, or null if not present
+     */
+    findPartitionTableFile(files, manifest = null) {
+        if (manifest) {
+            const part = manifest.parts.find(p => p.offset === this.PARTITION_TABLE_OFFSET && files[p.filename]);
+            return part ? part.filename : null;
+        }
+        return Object.keys(files).find(name =>
+            name.toLowerCase().includes('partition')
+        ) || null;
+    },
+
+    /**
+     * Parse an ESP-IDF partition table binary
+     * @param {ArrayBuffer} buffer - Partition table contents
+     * @returns {Array} Array of {type, subtype, typeName, subtypeName, label, offset, size, encrypted} objects
+     */
+    parsePartitionTable(buffer) {
+        const view = new DataView(buffer);
+        const length = Math.min(buffer.byteLength, this.PARTITION_TABLE_MAX_SIZE);
+        const decoder = new TextDecoder();
+        const partitions = [];
+
+        for (let pos = 0; pos + this.PARTITION_ENTRY_SIZE <= length; pos += this.PARTITION_ENTRY_SIZE) {
+            const magic = view.getUint16(pos, true);
+
+            // 0xFFFF marks the end of the table, 0xEBEB the trailing MD5 entry
+            if (magic === 0xFFFF || magic === this.PARTITION_MD5_MAGIC) {
+                break;
+            }
+            if (magic !== this.PARTITION_MAGIC) {
+                throw new Error(`Invalid partition table entry at byte ${pos} (magic 0x${magic.toString(16)})`);
+            }
+
+            const type = view.getUint8(pos + 2);
+            const subtype = view.getUint8(pos + 3);
+            const labelBytes = new Uint8Array(buffer, pos + 12, 16);
+            const labelEnd = labelBytes.indexOf(0);
+            const typeName = this.PARTITION_TYPES[type] || `0x${type.toString(16)}`;
+
+            partitions.push({
+                type,
+                subtype,
+                typeName,
+                subtypeName: this.getPartitionSubtypeName(typeName, subtype),
+                label: decoder.decode(labelEnd === -1 ? labelBytes : labelBytes.subarray(0, labelEnd)),
+                offset: view.getUint32(pos + 4, true),
+                size: view.getUint32(pos + 8, true),
+                encrypted: (view.getUint32(pos + 28, true) & 0x1) !== 0
+            });
+        }
+
+        if (partitions.length === 0) {
+            throw new Error('Partition table contains no entries');
+        }
+
+        return partitions;
+    },
+
+    /**
+     * Get a readable name for a partition subtype
+     * @param {string} typeName - Partition type name ('app' or 'data')
+     * @param {number} subtype - Partition subtype
+     * @returns {string} Subtype name
+     */
+    getPartitionSubtypeName(typeName, subtype) {
+        if (typeName === 'app' && subtype >= 0x10 && subtype <= 0x1F) {
+            return `ota_${subtype - 0x10}`;
+        }
+        const names = this.PARTITION_SUBTYPES[typeName] || {};
+        return names[subtype] || `0x${subtype.toString(16)}`;
+    },
+
+    /**
+     * Get the partition table bundled with the firmware files
+     * @param {Object} files - Object containing firmware files {filename: ArrayBuffer}
+     * @param {Object|null} manifest - Parsed package manifest, if the zip has one
+     * @returns {Array|null} Parsed partition entries, or null if no partition table is present
+     */
+    getPartitionTable(files, manifest = null) {
+        const filename = this.findPartitionTableFile(files, manifest);
+        if (!filename) {
+            return null;
+        }
+
+        try {
+            return this.parsePartitionTable(files[filename]);
+        } catch (error) {
+            throw new Error(`Failed to parse ${filename}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Find the partition a firmware file belongs to
      * @param {string} filename - Name of the firmware file
-     * @returns {number} Flash offset address
+     * @param {Array} partitions - Parsed partition table entries
+     * @returns {Object|null} Matching partition entry, or null if none matches
      */
-    getFlashOffset(filename) {
+    findPartitionForFile(filename, partitions) {
         const name = filename.toLowerCase();
+        const basename = name.replace(/\.bin$/, '');
 
-        // ESP32-S3 standard offset mappings (matching PlatformIO)
+        // An exact label match always wins (e.g. nvs.bin, spiffs.bin)
+        const byLabel = partitions.find(p => p.label.toLowerCase() === basename);
+        if (byLabel) {
+            return byLabel;
+        }
+
+        if (name.includes('boot_app0') || name.includes('otadata')) {
+            return partitions.find(p => p.typeName === 'data' && p.subtypeName === 'ota') || null;
+        }
+        if (name.includes('firmware') || name.includes('app')) {
+            // Factory partition if present, otherwise the first OTA slot
+            const apps = partitions.filter(p => p.typeName === 'app');
+            return apps.find(p => p.subtypeName === 'factory') ||
+                apps.sort((a, b) => a.offset - b.offset)[0] ||
+                null;
+        }
+        if (name.includes('littlefs') || name.includes('spiffs') || name.includes('fs')) {
+            // Arduino LittleFS images usually live in a partition typed as spiffs
+            const filesystems = ['littlefs', 'spiffs', 'fat'];
+            const candidates = partitions.filter(p => p.typeName === 'data' && filesystems.includes(p.subtypeName));
+            const wanted = filesystems.find(fs => name.includes(fs));
+            return candidates.find(p => p.subtypeName === wanted) || candidates[0] || null;
+        }
+
+        return null;
+    },
+
+    /**
+     * Find the partitions a factory reset erases, keeping the app, otadata and PHY calibration
+     * @param {Array} partitions - Parsed partition table entries
+     * @returns {Array} NVS and filesystem partitions
+     */
+    findFactoryResetPartitions(partitions) {
+        return partitions.filter(p => p.typeName === 'data' && this.FACTORY_RESET_SUBTYPES.includes(p.subtypeName));
+    },
+
+    /**
+     * Resolve where a firmware file should be flashed
+     * @param {string} filename - Name of the firmware file
+     * @param {Array|null} partitions - Parsed partition table entries, if available
+     * @param {Object|null} manifest - Parsed package manifest, its offsets take precedence over the file name
+     * @returns {Object} Object with offset, partition (entry or null) and source ('manifest', 'fixed', 'partition' or 'default')
+     */
+    resolveFlashTarget(filename, partitions = null, manifest = null) {
+        const name = filename.toLowerCase();
+
+        const part = manifest ? manifest.parts.find(p => p.filename === filename) : null;
+        if (part) {
+            const partition = (partitions || []).find(p => p.offset === part.offset) || null;
+            return { offset: part.offset, partition, source: 'manifest' };
+        }
+
+        // Bootloader and partition table live outside the partition table
         if (name.includes('bootloader')) {
-            return 0x0000;  // ESP32-S3 bootloader at 0x0
+            return { offset: 0x0000, partition: null, source: 'fixed' };  // ESP32-S3 bootloader at 0x0
         }
         if (name.includes('partition')) {
-            return 0x8000;  // Partition table
+            return { offset: this.PARTITION_TABLE_OFFSET, partition: null, source: 'fixed' };
+        }
+
+        if (partitions) {
+            const partition = this.findPartitionForFile(filename, partitions);
+            if (partition) {
+                return { offset: partition.offset, partition, source: 'partition' };
+            }
         }
+
+        return { offset: this.getDefaultFlashOffset(filename), partition: null, source: 'default' };
+    },
+
+    /**
+     * Determine flash offset for a given file
+     * @param {string} filename - Name of the firmware file
+     * @param {Array|null} partitions - Parsed partition table entries, if available
+     * @param {Object|null} manifest - Parsed package manifest, if the zip has one
+     * @returns {number} Flash offset address
+     */
+    getFlashOffset(filename, partitions = null, manifest = null) {
+        return this.resolveFlashTarget(filename, partitions, manifest).offset;
+    },
+
+    /**
+     * Fallback flash offset used when no partition table is available
+     * @param {string} filename - Name of the firmware file
+     * @returns {number} Flash offset address
+     */
+    getDefaultFlashOffset(filename) {
+        const name = filename.toLowerCase();
+
+        // ESP32-S3 standard offset mappings (matching PlatformIO)
         if (name.includes('boot_app0')) {
             return 0xe000;  // Boot app partition selector
         }
@@ -102,7 +995,7 @@ const FileHandler = {
             return 0x10000;  // Main application
         }
         if (name.includes('littlefs') || name.includes('spiffs') || name.includes('fs')) {
-            // Default filesystem offset, may need adjustment based on partition table
+            // Default filesystem offset of the standard 4MB layout
             return 0x290000;
         }
 
@@ -114,15 +1007,19 @@ const FileHandler = {
     /**
      * Prepare firmware files for flashing
      * @param {Object} files - Object containing firmware files {filename: ArrayBuffer}
-     * @returns {Array} Array of {filename, offset, data} objects sorted by offset
+     * @param {Object|null} manifest - Parsed package manifest, if the zip has one
+     * @returns {Array} Array of {filename, offset, partition, data} objects sorted by offset
      */
-    prepareFirmwareFiles(files) {
+    prepareFirmwareFiles(files, manifest = null) {
+        const partitions = this.getPartitionTable(files, manifest);
         const prepared = [];
 
         for (const [filename, data] of Object.entries(files)) {
+            const target = this.resolveFlashTarget(filename, partitions, manifest);
             prepared.push({
                 filename,
-                offset: this.getFlashOffset(filename),
+                offset: target.offset,
+                partition: target.partition,
                 data
             });
         }
@@ -137,23 +1034,91 @@ const FileHandler = {
      * Prepare firmware files for flashing with custom offsets
      * @param {Object} files - Object containing firmware files {filename: ArrayBuffer}
      * @param {Object} customOffsets - Object containing custom offsets {filename: offset}
-     * @returns {Array} Array of {filename, offset, data} objects sorted by offset
+     * @param {Object|null} manifest - Parsed package manifest, if the zip has one
+     * @returns {Array} Array of {filename, offset, partition, data} objects sorted by offset
      */
-    prepareFirmwareFilesWithCustomOffsets(files, customOffsets) {
+    prepareFirmwareFilesWithCustomOffsets(files, customOffsets, manifest = null) {
+        const partitions = this.getPartitionTable(files, manifest);
         const prepared = [];
 
         for (const [filename, data] of Object.entries(files)) {
-            // Use custom offset if available, otherwise auto-detect
+            // Use custom offset if available, otherwise the manifest or auto-detect
+            const target = this.resolveFlashTarget(filename, partitions, manifest);
             const offset = customOffsets[filename] !== undefined ?
                 customOffsets[filename] :
-                this.getFlashOffset(filename);
+                target.offset;
+            const partition = offset === target.offset ? target.partition : null;
 
-            prepared.push({ filename, offset, data });
+            prepared.push({ filename, offset, partition, data });
         }
 
         // Sort by offset (bootloader first)
         prepared.sort((a, b) => a.offset - b.offset);
 
         return prepared;
+    },
+
+    /**
+     * Validate a flash plan as a set of [offset, offset + length) ranges
+     * @param {Array} prepared - Array of {filename, offset, data} objects
+     * @param {number} flashSize - Flash size in bytes
+     * @param {Array|null} partitions - Parsed partition table
+     * @returns {Object} {isValid, errors, warnings, files: [{filename, offset, size, end, partition, errors, warnings}]}
+     */
+    validateFlashPlan(prepared, flashSize, partitions = null) {
+        const hex = (value) => `0x${value.toString(16).toUpperCase()}`;
+        const files = prepared
+            .map(file => ({
+                filename: file.filename,
+                offset: file.offset,
+                size: file.data.byteLength,
+                end: file.offset + file.data.byteLength,
+                partition: (partitions || []).find(p => file.offset >= p.offset && file.offset < p.offset + p.size) || null,
+                errors: [],
+                warnings: []
+            }))
+            .sort((a, b) => a.offset - b.offset);
+
+        for (const file of files) {
+            // Writes erase whole sectors, so an unaligned file wipes the start of its sector
+            if (file.offset % this.FLASH_SECTOR_SIZE !== 0) {
+                file.errors.push(`Offset ${hex(file.offset)} is not aligned to a 4KB sector (0x1000)`);
+            }
+            if (file.end > flashSize) {
+                file.errors.push(`Ends at ${hex(file.end)}, beyond the end of flash (${hex(flashSize)})`);
+            }
+
+            const partition = file.partition;
+            if (partition && file.end > partition.offset + partition.size) {
+                file.warnings.push(`Runs past the end of partition ${partition.label} (${hex(partition.offset + partition.size)})`);
+            } else if (!partition && partitions && file.offset >= this.PARTITION_TABLE_OFFSET + this.PARTITION_TABLE_MAX_SIZE) {
+                file.warnings.push(`${hex(file.offset)} is not inside any partition`);
+            }
+        }
+
+        // Ranges are sorted, but a large file can overlap several later ones
+        for (let i = 0; i < files.length; i++) {
+            for (let j = i + 1; j < files.length && files[j].offset < files[i].end; j++) {
+                files[i].errors.push(`Overlaps ${files[j].filename} (${hex(files[j].offset)}-${hex(files[j].end)})`);
+                files[j].errors.push(`Overlaps ${files[i].filename} (${hex(files[i].offset)}-${hex(files[i].end)})`);
+            }
+        }
+
+        const errors = [];
+        const warnings = [];
+        for (const file of files) {
+            file.errors.forEach(error => errors.push(`${file.filename}: ${error}`));
+            file.warnings.forEach(warning => warnings.push(`${file.filename}: ${warning}`));
+        }
+
+        // A table laid out for a bigger chip is worth knowing about even if the files fit
+        for (const partition of partitions || []) {
+            const end = partition.offset + partition.size;
+            if (end > flashSize) {
+                warnings.push(`Partition ${partition.label} (${hex(partition.offset)}-${hex(end)}) extends beyond the end of flash (${hex(flashSize)})`);
+            }
+        }
+
+        return { isValid: errors.length === 0, errors, warnings, files };
     }
 };
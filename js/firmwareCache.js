@@ -0,0 +1,148 @@
+/**
+ * Firmware Cache Module
+ * Keeps downloaded and uploaded firmware zips in IndexedDB for offline reflashing
+ */
+
+const FirmwareCache = {
+    STORE: 'firmware',
+    MAX_ENTRIES: 20,
+
+    /**
+     * Compute the SHA-256 of binary data
+     * @param {ArrayBuffer} data - Binary data
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    async hash(data) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Build the cache key of a firmware zip
+     * @param {Object} meta - Firmware metadata {repo, tag}
+     * @param {string} hash - SHA-256 of the zip
+     * @returns {string} Key by release tag if known, otherwise by content hash
+     */
+    buildKey(meta, hash) {
+        return meta.tag ? `release:${meta.repo || ''}@${meta.tag}` : `sha256:${hash}`;
+    },
+
+    /**
+     * Store a firmware zip
+     * @param {ArrayBuffer} data - Zip contents
+     * @param {Object} meta - Metadata {name, source, repo, tag, version}
+     * @returns {Promise<Object>} Stored entry metadata
+     */
+    async add(data, meta) {
+        const hash = await this.hash(data);
+        const key = this.buildKey(meta, hash);
+        const existing = await Database.get(this.STORE, key);
+        const now = Date.now();
+
+        const entry = {
+            key,
+            name: meta.name,
+            size: data.byteLength,
+            source: meta.source,
+            repo: meta.repo || null,
+            tag: meta.tag || null,
+            version: meta.version || null,
+            hash,
+            date: existing ? existing.date : now,
+            lastUsed: now,
+            data: new Blob([data], { type: 'application/zip' })
+        };
+
+        await Database.put(this.STORE, entry);
+        await this.evict();
+
+        return this.toMetadata(entry);
+    },
+
+    /**
+     * List cached firmware, most recently used first
+     * @returns {Promise<Array>} Entry metadata (without data)
+     */
+    async list() {
+        const entries = await Database.getAll(this.STORE);
+        return entries
+            .map(entry => this.toMetadata(entry))
+            .sort((a, b) => b.lastUsed - a.lastUsed);
+    },
+
+    /**
+     * Load a cached firmware zip and mark it as used
+     * @param {string} key - Cache key
+     * @returns {Promise<Object>} Entry metadata plus data (ArrayBuffer)
+     */
+    async get(key) {
+        const entry = await Database.get(this.STORE, key);
+        if (!entry) {
+            throw new Error('Firmware is no longer in the cache');
+        }
+
+        entry.lastUsed = Date.now();
+        await Database.put(this.STORE, entry);
+
+        return {
+            ...this.toMetadata(entry),
+            data: await entry.data.arrayBuffer()
+        };
+    },
+
+    /**
+     * Remove a cached firmware zip
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        return Database.delete(this.STORE, key);
+    },
+
+    /**
+     * Remove all cached firmware
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return Database.clear(this.STORE);
+    },
+
+    /**
+     * Get a cached zip as a downloadable file
+     * @param {string} key - Cache key
+     * @returns {Promise<Object>} {filename, blob}
+     */
+    async export(key) {
+        const entry = await Database.get(this.STORE, key);
+        if (!entry) {
+            throw new Error('Firmware is no longer in the cache');
+        }
+
+        const base = entry.name.replace(/\.zip$/i, '');
+        const filename = entry.tag && !base.includes(entry.tag) ?
+            `${base}-${entry.tag}.zip` :
+            `${base}.zip`;
+        return { filename, blob: entry.data };
+    },
+
+    /**
+     * Drop least recently used entries beyond MAX_ENTRIES
+     * @returns {Promise<void>}
+     */
+    async evict() {
+        const entries = await this.list();
+        for (const entry of entries.slice(this.MAX_ENTRIES)) {
+            await this.remove(entry.key);
+        }
+    },
+
+    /**
+     * Strip the data from an entry
+     * @param {Object} entry - Stored entry
+     * @returns {Object} Entry metadata
+     */
+    toMetadata(entry) {
+        const { data, ...meta } = entry;
+        return meta;
+    }
+};
@@ -0,0 +1,132 @@
+/**
+ * Flash History Module
+ * Keeps an audit log of every connect, flash, restore and erase in IndexedDB
+ */
+
+const FlashHistory = {
+    STORE: 'history',
+    MAX_ENTRIES: 500,
+
+    // Entry being recorded, saved by finish()
+    current: null,
+
+    /**
+     * Start recording an operation
+     * @param {string} type - 'connect', 'flash', 'resume', 'restore', 'erase' or 'batch'
+     * @param {Object} details - {macAddress, chip, firmware {source, name, version}, plan [{filename, offset, size}], settings}
+     */
+    begin(type, details = {}) {
+        this.current = {
+            type,
+            date: Date.now(),
+            macAddress: details.macAddress || null,
+            chip: details.chip || null,
+            firmware: details.firmware || null,
+            plan: (details.plan || []).map(file => ({
+                filename: file.filename,
+                offset: file.offset,
+                size: file.size !== undefined ? file.size : file.data.byteLength
+            })),
+            settings: details.settings || null,
+            duration: 0,
+            outcome: null,
+            error: null,
+            log: []
+        };
+    },
+
+    /**
+     * Add a log line to the entry being recorded
+     * @param {string} message - Log message
+     * @param {string} type - 'info', 'success', 'warning' or 'error'
+     */
+    addLog(message, type) {
+        if (this.current) {
+            this.current.log.push({ time: Date.now(), type, message });
+        }
+    },
+
+    /**
+     * Save the entry being recorded
+     * @param {string} outcome - 'success', 'failed', 'cancelled' or 'skipped'
+     * @param {Object} details - Fields learned during the operation, e.g. {macAddress, chip, error}
+     * @returns {Promise<Object|null>} Saved entry, or null if nothing was being recorded
+     */
+    async finish(outcome, details = {}) {
+        const entry = this.current;
+        if (!entry) {
+            return null;
+        }
+        this.current = null;
+
+        Object.assign(entry, details, {
+            outcome,
+            duration: (Date.now() - entry.date) / 1000
+        });
+        entry.id = await Database.put(this.STORE, entry);
+        await this.evict();
+
+        return entry;
+    },
+
+    /**
+     * List entries, newest first
+     * @param {string} macFilter - Part of a MAC address, separators and case are ignored
+     * @returns {Promise<Array>} Matching entries
+     */
+    async list(macFilter = '') {
+        const normalize = (mac) => (mac || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+        const filter = normalize(macFilter);
+
+        const entries = await Database.getAll(this.STORE);
+        return entries
+            .filter(entry => !filter || normalize(entry.macAddress).includes(filter))
+            .sort((a, b) => b.date - a.date || b.id - a.id);
+    },
+
+    /**
+     * Load an entry by id
+     * @param {number} id - Entry id
+     * @returns {Promise<Object>} Entry
+     */
+    async get(id) {
+        const entry = await Database.get(this.STORE, id);
+        if (!entry) {
+            throw new Error('History entry no longer exists');
+        }
+        return entry;
+    },
+
+    /**
+     * Remove all entries
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return Database.clear(this.STORE);
+    },
+
+    /**
+     * Serialize entries for export
+     * @param {Array} entries - History entries
+     * @returns {string} JSON with ISO timestamps
+     */
+    toJson(entries) {
+        return JSON.stringify(entries.map(entry => ({
+            ...entry,
+            date: new Date(entry.date).toISOString(),
+            log: entry.log.map(line => ({ ...line, time: new Date(line.time).toISOString() }))
+        })), null, 2);
+    },
+
+    /**
+     * Drop the oldest entries beyond MAX_ENTRIES
+     * @returns {Promise<void>}
+     */
+    async evict() {
+        // Ids grow with every entry, so the lowest are the oldest
+        const ids = await Database.getAllKeys(this.STORE);
+        for (const id of ids.slice(0, Math.max(0, ids.length - this.MAX_ENTRIES))) {
+            await Database.delete(this.STORE, id);
+        }
+    }
+};
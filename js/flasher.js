@@ -9,12 +9,106 @@ const Flasher = {
     chip: null,
     esploader: null,
     connected: false,
+    flashInfo: null,
+    baudRate: null,
+    macAddress: null,
+
+    // Interrupted flash {macAddress, files, nextIndex, writtenSize, writtenRegions}
+    session: null,
+    cancelRequested: false,
+
+    SETTINGS_KEY: 'hdsUpdater.flashSettings',
+    DEFAULT_ATTEMPTS: 3,
+    USB_JTAG_SERIAL_PID: 0x1001,
+
+    // Tried from the configured rate downwards when connecting or writing fails
+    BAUD_RATES: [921600, 460800, 230400, 115200],
+    FLASH_MODES: ['keep', 'qio', 'qout', 'dio', 'dout'],
+    FLASH_FREQS: ['keep', '80m', '40m', '26m', '20m'],
+    RESET_MODES: ['default', 'no-reset', 'usb-jtag'],
+
+    // Chips whose image header uses the frequency encoding of EspImage.FLASH_FREQS
+    FLASH_FREQ_CHIPS: ['ESP32', 'ESP32-S2', 'ESP32-S3', 'ESP32-C3'],
+
+    // 'keep' leaves the flash mode and frequency the bootloader was built with
+    DEFAULT_SETTINGS: {
+        baudRate: 921600,
+        flashMode: 'keep',
+        flashFreq: 'keep',
+        compress: true,
+        resetMode: 'default'
+    },
+
+    // JEDEC manufacturer IDs of flash chips found on ESP32 modules
+    FLASH_MANUFACTURERS: {
+        0x0B: 'XTX',
+        0x1C: 'EON',
+        0x20: 'XMC',
+        0x5E: 'Zbit',
+        0x68: 'Boya',
+        0x85: 'Puya',
+        0x9D: 'ISSI',
+        0xA1: 'Fudan',
+        0xC2: 'Macronix',
+        0xC8: 'GigaDevice',
+        0xEF: 'Winbond'
+    },
+
+    /**
+     * Load connection and flash settings from localStorage
+     * @returns {Object} Settings {baudRate, flashMode, flashFreq, compress, resetMode}
+     */
+    getSettings() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring invalid flash settings:', error);
+        }
+
+        // Unknown values fall back to the defaults
+        const defaults = this.DEFAULT_SETTINGS;
+        return {
+            baudRate: this.BAUD_RATES.includes(stored.baudRate) ? stored.baudRate : defaults.baudRate,
+            flashMode: this.FLASH_MODES.includes(stored.flashMode) ? stored.flashMode : defaults.flashMode,
+            flashFreq: this.FLASH_FREQS.includes(stored.flashFreq) ? stored.flashFreq : defaults.flashFreq,
+            compress: typeof stored.compress === 'boolean' ? stored.compress : defaults.compress,
+            resetMode: this.RESET_MODES.includes(stored.resetMode) ? stored.resetMode : defaults.resetMode
+        };
+    },
+
+    /**
+     * Save connection and flash settings to localStorage
+     * @param {Object} settings - Settings {baudRate, flashMode, flashFreq, compress, resetMode}
+     */
+    saveSettings(settings) {
+        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+    },
+
+    /**
+     * Describe settings for the console
+     * @param {Object} settings - Settings from getSettings
+     * @returns {string} Summary
+     */
+    describeSettings(settings) {
+        return `reset: ${settings.resetMode}, flash mode: ${settings.flashMode}, ` +
+            `frequency: ${settings.flashFreq}, compression: ${settings.compress ? 'on' : 'off'}`;
+    },
 
     /**
      * Connect to ESP32 device via Web Serial API
+     * @param {Function} logCallback - Callback for log messages
+     * @param {SerialPort|null} port - Already granted port (e.g. from a connect event), null to ask the user
      * @returns {Promise<Object>} Device information
      */
-    async connectDevice() {
+    async connectDevice(logCallback = null, port = null) {
+        const log = (message, type = 'info') => {
+            console.log(message);
+            if (logCallback) {
+                logCallback(message, type);
+            }
+        };
+
         try {
             // Check if Web Serial API is available
             if (!('serial' in navigator)) {
@@ -22,7 +116,9 @@ const Flasher = {
             }
 
             // Request serial port (no filters - show all devices)
-            const port = await navigator.serial.requestPort();
+            if (!port) {
+                port = await navigator.serial.requestPort();
+            }
 
             // Wait for esptool-js to load
             if (!window.esptooljs) {
@@ -32,40 +128,153 @@ const Flasher = {
             // Wait a bit for any previous connections to fully close
             await new Promise(resolve => setTimeout(resolve, 100));
 
-            // Create transport
-            this.transport = new window.esptooljs.Transport(port, true);
-            this.device = port;
-
-            // Create ESPLoader instance
-            const loaderOptions = {
-                transport: this.transport,
-                baudrate: 921600,  // High speed for fast flashing
-                terminal: {
-                    clean: () => {},
-                    writeLine: (data) => console.log(data),
-                    write: (data) => console.log(data)
-                }
-            };
-
-            this.esploader = new window.esptooljs.ESPLoader(loaderOptions);
-
-            // Connect and detect chip
-            const chipDescription = await this.esploader.main();
+            // Connect and detect chip, lowering the baud rate if needed
+            const settings = this.getSettings();
+            const chipDescription = await this.connectLoader(port, settings, this.getFallbackBaudRates(settings.baudRate), log);
+            log(`Connected at ${this.baudRate} baud (${this.describeSettings(settings)})`, 'info');
 
             // Get chip info (methods are on this.esploader.chip and take loader as parameter)
             const chipInfo = {
                 type: chipDescription,  // main() already returns the chip description
+                chipName: this.esploader.chip.CHIP_NAME,
+                imageChipId: this.esploader.chip.IMAGE_CHIP_ID,
                 macAddress: await this.esploader.chip.readMac(this.esploader),
                 features: await this.esploader.chip.getChipFeatures(this.esploader)
             };
 
             this.connected = true;
             this.chip = this.esploader.chip;
+            this.macAddress = chipInfo.macAddress;
+
+            // An unrecognized flash chip must not prevent connecting
+            try {
+                this.flashInfo = await this.readFlashInfo();
+            } catch (error) {
+                console.warn('Could not detect flash size:', error);
+                this.flashInfo = null;
+            }
+            chipInfo.flashSize = this.flashInfo ? this.flashInfo.size : null;
+            chipInfo.flashManufacturer = this.flashInfo ? this.flashInfo.manufacturer : null;
+            chipInfo.flashManufacturerId = this.flashInfo ? this.flashInfo.manufacturerId : null;
+            chipInfo.flashDeviceId = this.flashInfo ? this.flashInfo.deviceId : null;
+            chipInfo.baudRate = this.baudRate;
+
             return chipInfo;
         } catch (error) {
             this.connected = false;
-            throw new Error(`Failed to connect: ${error.message}`);
+            throw new Error(`Failed to connect: ${error.message}`, { cause: error });
+        }
+    },
+
+    /**
+     * Baud rates to try, starting at the configured one
+     * @param {number} baudRate - Preferred baud rate
+     * @returns {Array} Baud rates in the order to try them
+     */
+    getFallbackBaudRates(baudRate) {
+        return [baudRate, ...this.BAUD_RATES.filter(rate => rate < baudRate)];
+    },
+
+    /**
+     * Start the bootloader connection, retrying at each lower baud rate
+     * @param {SerialPort} port - Serial port
+     * @param {Object} settings - Settings from getSettings
+     * @param {Array} baudRates - Baud rates to try in order
+     * @param {Function} log - Log function (message, type)
+     * @returns {Promise<string>} Chip description
+     */
+    async connectLoader(port, settings, baudRates, log) {
+        let lastError = null;
+
+        for (let i = 0; i < baudRates.length; i++) {
+            try {
+                return await this.openLoader(port, baudRates[i], settings.resetMode);
+            } catch (error) {
+                lastError = error;
+                await this.closeTransport();
+                if (i + 1 < baudRates.length) {
+                    log(`Connection at ${baudRates[i]} baud failed (${error.message}), retrying at ${baudRates[i + 1]} baud...`, 'warning');
+                }
+            }
+        }
+
+        throw lastError;
+    },
+
+    /**
+     * Open a transport on the port and sync with the bootloader
+     * @param {SerialPort} port - Serial port
+     * @param {number} baudRate - Baud rate to switch to after syncing
+     * @param {string} resetMode - 'default', 'no-reset' or 'usb-jtag'
+     * @returns {Promise<string>} Chip description
+     */
+    async openLoader(port, baudRate, resetMode) {
+        // Create transport
+        this.transport = new window.esptooljs.Transport(port, true);
+        this.device = port;
+
+        // esptool-js picks the USB-JTAG-Serial reset sequence by USB product ID
+        if (resetMode === 'usb-jtag') {
+            this.transport.getPid = () => this.USB_JTAG_SERIAL_PID;
+        }
+
+        // Create ESPLoader instance
+        const loaderOptions = {
+            transport: this.transport,
+            baudrate: baudRate,
+            terminal: {
+                clean: () => {},
+                writeLine: (data) => console.log(data),
+                write: (data) => console.log(data)
+            }
+        };
+
+        this.esploader = new window.esptooljs.ESPLoader(loaderOptions);
+
+        // main() returns the chip description
+        const chipDescription = await this.esploader.main(resetMode === 'no-reset' ? 'no_reset' : 'default_reset');
+
+        // main() ignores a failed sync after changing the baud rate, so check the link at the new rate
+        await this.esploader.readFlashId();
+        this.baudRate = baudRate;
+        return chipDescription;
+    },
+
+    /**
+     * Close the transport but keep the port for another attempt
+     * @returns {Promise<void>}
+     */
+    async closeTransport() {
+        try {
+            if (this.transport) {
+                await this.transport.disconnect();
+            }
+        } catch (error) {
+            console.warn('Error while closing transport:', error);
+        }
+        this.transport = null;
+        this.esploader = null;
+    },
+
+    /**
+     * Reconnect to the bootloader at a lower baud rate after a failure
+     * @param {number} baudRate - Highest baud rate to try
+     * @param {Function} log - Log function (message, type)
+     * @returns {Promise<void>}
+     */
+    async reconnect(baudRate, log) {
+        const port = this.device;
+        await this.closeTransport();
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        try {
+            await this.connectLoader(port, this.getSettings(), this.getFallbackBaudRates(baudRate), log);
+            this.chip = this.esploader.chip;
+        } catch (error) {
+            this.connected = false;
+            throw new Error(`Reconnect failed: ${error.message}`, { cause: error });
         }
+        log(`Reconnected at ${this.baudRate} baud`, 'info');
     },
 
     /**
@@ -81,6 +290,9 @@ const Flasher = {
             this.transport = null;
             this.chip = null;
             this.esploader = null;
+            this.flashInfo = null;
+            this.baudRate = null;
+            this.macAddress = null;
             this.connected = false;
         } catch (error) {
             console.error('Error during disconnect:', error);
@@ -89,30 +301,184 @@ const Flasher = {
             this.transport = null;
             this.chip = null;
             this.esploader = null;
+            this.flashInfo = null;
+            this.baudRate = null;
+            this.macAddress = null;
             this.connected = false;
         }
     },
 
+    /**
+     * Disconnect from device but keep its serial port for reuse (e.g. by the serial monitor)
+     * @returns {Promise<SerialPort|null>} The closed port, or null if not connected
+     */
+    async releasePort() {
+        const port = this.device;
+        await this.disconnectDevice();
+        return port;
+    },
+
+    /**
+     * Read the JEDEC ID of the flash chip
+     * @returns {Promise<Object>} {size (bytes), sizeLabel, manufacturer, manufacturerId, deviceId}
+     */
+    async readFlashInfo() {
+        if (!this.esploader) {
+            throw new Error('Device not connected');
+        }
+
+        // RDID returns manufacturer, memory type and capacity in the low three bytes
+        const flashId = await this.esploader.readFlashId();
+        const manufacturerId = flashId & 0xff;
+        const memoryType = (flashId >> 8) & 0xff;
+        const capacityId = (flashId >> 16) & 0xff;
+
+        // Capacity is log2 of the size in bytes (0x16 = 4 MB)
+        if (capacityId < 0x12 || capacityId > 0x1a) {
+            throw new Error(`Unknown flash capacity ID 0x${capacityId.toString(16)} (flash ID 0x${flashId.toString(16)})`);
+        }
+        const size = Math.pow(2, capacityId);
+
+        return {
+            size,
+            sizeLabel: size >= 0x100000 ? `${size / 0x100000}MB` : `${size / 1024}KB`,
+            manufacturer: this.FLASH_MANUFACTURERS[manufacturerId] || 'Unknown',
+            manufacturerId,
+            deviceId: (memoryType << 8) | capacityId
+        };
+    },
+
     /**
      * Get flash configuration based on chip type
      * @returns {Object} Flash configuration
      */
     getFlashConfig() {
+        const settings = this.getSettings();
         return {
-            flashSize: 'keep', // Auto-detect
-            flashMode: 'dio',
-            flashFreq: '80m'  // 80MHz for ESP32-S3 (matches PlatformIO default)
+            // The detected size lets esptool-js refuse files that run past the end of flash
+            flashSize: this.flashInfo ? this.flashInfo.sizeLabel : 'keep',
+            flashMode: settings.flashMode,
+            flashFreq: settings.flashFreq,
+            compress: settings.compress
         };
     },
 
+    /**
+     * Apply the configured flash mode and frequency to the bootloader image
+     * (esptool-js 0.4 does not patch the header itself)
+     * @param {Object} file - Prepared file {filename, offset, data}
+     * @param {Object} flashConfig - Flash configuration from getFlashConfig
+     * @param {Function} log - Log function (message, type)
+     * @returns {Promise<ArrayBuffer>} File data to write
+     */
+    async applyFlashParams(file, flashConfig, log) {
+        if (file.offset !== this.chip.BOOTLOADER_FLASH_OFFSET || !EspImage.isImage(file.data) ||
+            (flashConfig.flashMode === 'keep' && flashConfig.flashFreq === 'keep')) {
+            return file.data;
+        }
+
+        let flashFreq = flashConfig.flashFreq;
+        if (flashFreq !== 'keep' && !this.FLASH_FREQ_CHIPS.includes(this.chip.CHIP_NAME)) {
+            log(`Flash frequency override is not supported on ${this.chip.CHIP_NAME}, keeping the bootloader's setting`, 'warning');
+            flashFreq = 'keep';
+        }
+
+        log(`Setting bootloader flash mode ${flashConfig.flashMode}, frequency ${flashFreq}`, 'info');
+        return EspImage.setFlashParams(file.data, { flashMode: flashConfig.flashMode, flashFreq });
+    },
+
+    /**
+     * Write one image, compressed through esptool-js or uncompressed block by block
+     * @param {Object} file - Image {data (binary string), address}
+     * @param {Object} flashConfig - Flash configuration from getFlashConfig
+     * @param {Function} onImage - Called with the exact (padded) image before it is written
+     * @param {Function} reportProgress - Callback (written, total)
+     * @returns {Promise<void>}
+     */
+    async writeImage(file, flashConfig, onImage, reportProgress) {
+        if (flashConfig.compress) {
+            await this.esploader.writeFlash({
+                fileArray: [file],
+                flashSize: flashConfig.flashSize,
+                // The bootloader header was already patched by applyFlashParams
+                flashMode: 'keep',
+                flashFreq: 'keep',
+                eraseAll: false,
+                compress: true,
+                calculateMD5Hash: (image) => {
+                    onImage(image);
+                    // Returning null leaves verification to verifyFlash()
+                    return null;
+                },
+                reportProgress: (fileIndex, written, total) => reportProgress(written, total)
+            });
+            return;
+        }
+
+        // esptool-js 0.4 only implements compressed writes
+        const loader = this.esploader;
+        let image = file.data;
+        if (image.length % 4 !== 0) {
+            image += '\xff\xff\xff'.substring(0, 4 - (image.length % 4));
+        }
+        onImage(image);
+
+        const blockSize = loader.FLASH_WRITE_SIZE;
+        const timeout = Math.max(3000, loader.timeoutPerMb(loader.ERASE_WRITE_TIMEOUT_PER_MB, blockSize));
+        const blocks = await loader.flashBegin(image.length, file.address);
+        reportProgress(0, image.length);
+
+        for (let seq = 0; seq < blocks; seq++) {
+            // The last block is padded with erased flash
+            const block = new Uint8Array(blockSize).fill(0xFF);
+            block.set(loader.bstrToUi8(image.slice(seq * blockSize, (seq + 1) * blockSize)));
+            await loader.flashBlock(block, seq, timeout);
+            reportProgress(Math.min((seq + 1) * blockSize, image.length), image.length);
+        }
+
+        // Leave flash mode but stay in the loader, as writeFlash does
+        if (loader.IS_STUB) {
+            await loader.flashBegin(0, 0);
+            await loader.flashFinish(false);
+        }
+    },
+
+    /**
+     * Ask a running flash to stop after the current block
+     */
+    requestCancel() {
+        this.cancelRequested = true;
+    },
+
+    /**
+     * Check whether an interrupted flash can be resumed on the connected device
+     * @returns {boolean} True if a session with unwritten files exists for this device
+     */
+    canResume() {
+        return this.connected && this.session !== null && this.session.macAddress === this.macAddress;
+    },
+
+    /**
+     * Forget the interrupted flash session
+     */
+    clearSession() {
+        this.session = null;
+    },
+
     /**
      * Flash firmware to ESP32
      * @param {Array} files - Array of {filename, offset, data} objects
      * @param {Function} progressCallback - Callback for progress updates
      * @param {Function} logCallback - Callback for log messages
+     * @param {Object} options - Flash options
+     * @param {boolean} options.verify - Compare an MD5 of every written region before resetting
+     * @param {number} options.attempts - Attempts per file before giving up
+     * @param {boolean} options.resume - Continue the interrupted session instead of starting with files
+     * @param {boolean} options.preserveNvs - Keep the device's NVS (calibration, settings), moving it if the layout changes
+     * @param {Array|null} options.partitions - Partition table of the new firmware, null if it keeps the device's layout
      * @returns {Promise<void>}
      */
-    async flashFirmware(files, progressCallback = null, logCallback = null) {
+    async flashFirmware(files, progressCallback = null, logCallback = null, options = {}) {
         if (!this.connected || !this.esploader) {
             throw new Error('Device not connected');
         }
@@ -124,8 +490,33 @@ const Flasher = {
             }
         };
 
+        if (options.resume && !this.canResume()) {
+            throw new Error('No interrupted flash to resume on this device');
+        }
+
+        // Saved settings travel as one more file, so retries, resume and verification cover them
+        if (options.preserveNvs && !options.resume) {
+            const nvsFile = await this.preserveNvs(files, options.partitions || null, log);
+            if (nvsFile) {
+                files = [...files, nvsFile];
+            }
+        }
+
+        // A resumed session keeps its plan, its progress and the MD5s of the files already written
+        const session = options.resume ? this.session : {
+            macAddress: this.macAddress,
+            files,
+            nextIndex: 0,
+            writtenSize: 0,
+            writtenRegions: []
+        };
+        const attempts = Math.max(1, options.attempts || this.DEFAULT_ATTEMPTS);
+        files = session.files;
+        this.session = null;
+        this.cancelRequested = false;
+
         try {
-            log('Preparing to flash firmware...', 'info');
+            log(options.resume ? `Resuming flash at ${files[session.nextIndex].filename}...` : 'Preparing to flash firmware...', 'info');
 
             // Helper function to convert ArrayBuffer to binary string
             const arrayBufferToBinaryString = (buffer) => {
@@ -137,46 +528,62 @@ const Flasher = {
                 return binary;
             };
 
+            // Get flash config
+            const flashConfig = this.getFlashConfig();
+            log(`Flash mode: ${flashConfig.flashMode}, Frequency: ${flashConfig.flashFreq}, Compression: ${flashConfig.compress ? 'on' : 'off'}`, 'info');
+
             // Prepare file data for esptool-js format (expects binary strings)
-            const fileArray = files.map(file => ({
-                data: arrayBufferToBinaryString(file.data),
-                address: file.offset
-            }));
+            const fileArray = [];
+            for (const file of files) {
+                fileArray.push({
+                    data: arrayBufferToBinaryString(await this.applyFlashParams(file, flashConfig, log)),
+                    address: file.offset
+                });
+            }
 
-            log(`Flashing ${files.length} file(s)...`, 'info');
-            files.forEach(file => {
+            log(`Flashing ${files.length - session.nextIndex} file(s)...`, 'info');
+            files.slice(session.nextIndex).forEach(file => {
                 log(`  - ${file.filename} @ 0x${file.offset.toString(16).toUpperCase()}`, 'info');
             });
 
-            // Get flash config
-            const flashConfig = this.getFlashConfig();
-            log(`Flash mode: ${flashConfig.flashMode}, Frequency: ${flashConfig.flashFreq}`, 'info');
+            // MD5 of the exact image esptool-js writes for each file (padded, header patched)
+            const writtenRegions = session.writtenRegions;
 
             // Write files to flash
             let totalSize = 0;
-            let writtenSize = 0;
+            let writtenSize = session.writtenSize;
 
             // Calculate total size
             for (const file of fileArray) {
                 totalSize += file.data.length;
             }
 
-            // Flash each file
-            for (let i = 0; i < fileArray.length; i++) {
+            // Flash each file, skipping those a resumed session already wrote
+            for (let i = session.nextIndex; i < fileArray.length; i++) {
                 const file = fileArray[i];
                 const fileInfo = files[i];
 
-                log(`Flashing ${fileInfo.filename} (${file.data.length} bytes)...`, 'info');
-
-                try {
-                    await this.esploader.writeFlash({
-                        fileArray: [file],
-                        flashSize: flashConfig.flashSize,
-                        flashMode: flashConfig.flashMode,
-                        flashFreq: flashConfig.flashFreq,
-                        eraseAll: false,
-                        compress: true,
-                        reportProgress: (fileIndex, written, total) => {
+                for (let attempt = 1; ; attempt++) {
+                    log(`Flashing ${fileInfo.filename} (${file.data.length} bytes)${attempt > 1 ? `, attempt ${attempt}/${attempts}` : ''}...`, 'info');
+
+                    try {
+                        if (this.cancelRequested) {
+                            throw this.createCancelError();
+                        }
+
+                        await this.writeImage(file, flashConfig, (image) => {
+                            writtenRegions.push({
+                                filename: fileInfo.filename,
+                                offset: file.address,
+                                size: image.length,
+                                md5: this.computeMd5(CryptoJS.enc.Latin1.parse(image))
+                            });
+                        }, (written, total) => {
+                            // Stop between blocks, the loader stays in sync
+                            if (this.cancelRequested) {
+                                throw this.createCancelError();
+                            }
+
                             const fileProgress = (written / total) * 100;
                             const overallWritten = writtenSize + written;
                             const overallProgress = (overallWritten / totalSize) * 100;
@@ -189,19 +596,51 @@ const Flasher = {
                                     fileProgress
                                 });
                             }
+                        });
+
+                        writtenSize += file.data.length;
+                        log(`Successfully flashed ${fileInfo.filename}`, 'success');
+                        break;
+                    } catch (error) {
+                        // The MD5 is recorded before writing, so drop the failed attempt's entry
+                        const failed = writtenRegions.findIndex(region => region.offset === file.address);
+                        if (failed !== -1) {
+                            writtenRegions.splice(failed, 1);
                         }
-                    });
 
-                    writtenSize += file.data.length;
-                    log(`Successfully flashed ${fileInfo.filename}`, 'success');
-                } catch (error) {
-                    log(`Failed to flash ${fileInfo.filename}: ${error.message}`, 'error');
-                    throw error;
+                        if (error.cancelled || attempt >= attempts) {
+                            // Keep the session so the remaining files can be resumed
+                            this.session = { ...session, nextIndex: i, writtenSize, writtenRegions };
+                            if (!error.cancelled) {
+                                log(`Failed to flash ${fileInfo.filename}: ${error.message}`, 'error');
+                            }
+                            throw error;
+                        }
+
+                        // Retry at the next lower baud rate, if there is one
+                        const baudRate = this.BAUD_RATES.find(rate => rate < this.baudRate) || this.baudRate;
+                        log(`Failed to flash ${fileInfo.filename} at ${this.baudRate} baud (${error.message}), reconnecting at ${baudRate} baud...`, 'warning');
+                        try {
+                            await this.reconnect(baudRate, log);
+                        } catch (reconnectError) {
+                            this.session = { ...session, nextIndex: i, writtenSize, writtenRegions };
+                            throw reconnectError;
+                        }
+                    }
                 }
             }
 
+            log(`All files written at ${this.baudRate} baud`, 'info');
+
             log('Firmware flashed successfully!', 'success');
 
+            if (options.verify) {
+                const mismatches = await this.verifyFlash(writtenRegions, log);
+                if (mismatches.length > 0) {
+                    throw new Error(`Verification failed for ${mismatches.join(', ')}. Device was not reset.`);
+                }
+            }
+
             // Small delay to ensure all operations complete
             await new Promise(resolve => setTimeout(resolve, 100));
 
@@ -221,9 +660,294 @@ const Flasher = {
                 progressCallback(100);
             }
         } catch (error) {
-            log(`Flashing failed: ${error.message}`, 'error');
+            if (error.cancelled) {
+                log(`Flashing cancelled. ${this.session ? `Resume to continue at ${this.session.files[this.session.nextIndex].filename}.` : ''}`, 'warning');
+            } else {
+                log(`Flashing failed: ${error.message}`, 'error');
+            }
             throw error;
+        } finally {
+            this.cancelRequested = false;
+        }
+    },
+
+    /**
+     * Save the device's NVS partition if the new partition layout moves or resizes it
+     * @param {Array} files - Files about to be flashed {filename, offset, data}
+     * @param {Array|null} newPartitions - Partition table of the new firmware
+     * @param {Function} log - Log function (message, type)
+     * @returns {Promise<Object|null>} File {filename, offset, data} restoring NVS at its new place, or null if it stays put
+     */
+    async preserveNvs(files, newPartitions, log) {
+        let devicePartitions;
+        try {
+            devicePartitions = await this.readPartitionTable();
+        } catch (error) {
+            throw new Error(`Cannot preserve settings: failed to read the partition table on the device (${error.message})`);
+        }
+
+        const plan = FileHandler.planNvsPreservation(devicePartitions, newPartitions, files);
+        if (plan.errors.length > 0) {
+            throw new Error(`Cannot preserve settings: ${plan.errors.join('; ')}. Turn off settings preservation to flash anyway.`);
+        }
+
+        const describe = (partition) => `0x${partition.offset.toString(16).toUpperCase()}, ${partition.size} bytes`;
+        if (!plan.moved) {
+            log(`NVS partition ${plan.source.label} stays at ${describe(plan.source)}, settings are kept`, 'info');
+            return null;
+        }
+
+        log(`New partition table changes NVS partition ${plan.source.label} from ${describe(plan.source)} to ${describe(plan.target)}, saving settings...`, 'info');
+        const data = await this.readFlashRegion(plan.source.offset, plan.source.size);
+
+        // NVS only shrinks if the pages that no longer fit are still erased
+        if (plan.target.size < data.length && data.subarray(plan.target.size).some(byte => byte !== 0xFF)) {
+            throw new Error(`Cannot preserve settings: new NVS partition (${plan.target.size} bytes) is smaller than the settings stored on the device`);
+        }
+
+        // Pad with erased pages, leftovers of the old layout would look like corrupt NVS pages
+        const image = new Uint8Array(plan.target.size).fill(0xFF);
+        image.set(data.subarray(0, Math.min(data.length, plan.target.size)));
+
+        return {
+            filename: `${plan.target.label} (preserved settings)`,
+            offset: plan.target.offset,
+            data: image.buffer
+        };
+    },
+
+    /**
+     * Create the error thrown when the user cancels flashing
+     * @returns {Error} Error with cancelled set
+     */
+    createCancelError() {
+        const error = new Error('Cancelled by user');
+        error.cancelled = true;
+        return error;
+    },
+
+    /**
+     * Detect the size of the attached flash chip
+     * @returns {Promise<number>} Flash size in bytes
+     */
+    async getFlashSize() {
+        if (!this.connected || !this.esploader) {
+            throw new Error('Device not connected');
+        }
+
+        if (!this.flashInfo) {
+            this.flashInfo = await this.readFlashInfo();
+        }
+        return this.flashInfo.size;
+    },
+
+    /**
+     * Read a region of flash from the device
+     * @param {number} offset - Flash offset to start reading at
+     * @param {number} size - Number of bytes to read
+     * @param {Function} progressCallback - Callback for progress updates (percent, info)
+     * @returns {Promise<Uint8Array>} Flash contents
+     */
+    async readFlashRegion(offset, size, progressCallback = null) {
+        if (!this.connected || !this.esploader) {
+            throw new Error('Device not connected');
+        }
+
+        const data = await this.esploader.readFlash(offset, size, (packet, received, total) => {
+            if (progressCallback) {
+                progressCallback((received / total) * 100, { received, total });
+            }
+        });
+
+        // The stub may send a little more than requested in its last packet
+        return data.length > size ? data.slice(0, size) : data;
+    },
+
+    /**
+     * Compute the MD5 of binary data
+     * @param {ArrayBuffer|Uint8Array|Object} data - Binary data or a CryptoJS WordArray
+     * @returns {string} Lowercase hex MD5 digest
+     */
+    computeMd5(data) {
+        const wordArray = data instanceof ArrayBuffer || ArrayBuffer.isView(data) ?
+            CryptoJS.lib.WordArray.create(new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength)) :
+            data;
+        return CryptoJS.MD5(wordArray).toString();
+    },
+
+    /**
+     * Compare flash contents on the device against locally computed MD5 hashes
+     * @param {Array} regions - Array of {filename, offset, size, md5} objects
+     * @param {Function} log - Log function (message, type)
+     * @returns {Promise<Array>} Filenames whose flash contents do not match
+     */
+    async verifyFlash(regions, log) {
+        if (!this.connected || !this.esploader) {
+            throw new Error('Device not connected');
+        }
+
+        log(`Verifying ${regions.length} region(s)...`, 'info');
+        const mismatches = [];
+
+        for (const region of regions) {
+            const range = `0x${region.offset.toString(16).toUpperCase()}-0x${(region.offset + region.size).toString(16).toUpperCase()}`;
+            const flashMd5 = await this.esploader.flashMd5sum(region.offset, region.size);
+
+            if (flashMd5 === region.md5) {
+                log(`Verified ${region.filename} (${range}, md5 ${flashMd5})`, 'success');
+            } else {
+                log(`Verification failed for ${region.filename} (${range}): expected md5 ${region.md5}, flash has ${flashMd5}`, 'error');
+                mismatches.push(region.filename);
+            }
+        }
+
+        return mismatches;
+    },
+
+    /**
+     * Hard reset the connected chip so it leaves the bootloader and runs its firmware
+     * @returns {Promise<void>}
+     */
+    async resetDevice() {
+        if (!this.connected || !this.esploader) {
+            throw new Error('Device not connected');
+        }
+        await this.esploader.hardReset();
+    },
+
+    /**
+     * Erase the entire flash chip
+     * @param {Function} log - Log function (message, type)
+     * @returns {Promise<void>}
+     */
+    async eraseFlash(log) {
+        if (!this.connected || !this.esploader) {
+            throw new Error('Device not connected');
+        }
+
+        // Files written by an interrupted flash are gone
+        this.session = null;
+
+        const startTime = Date.now();
+        log('Erasing entire flash, this can take a few minutes...', 'info');
+        if (this.esploader.IS_STUB) {
+            await this.esploader.eraseFlash();
+        } else {
+            // Chip erase is a stub command, the ROM loader can only overwrite
+            await this.eraseRegion(0, await this.getFlashSize());
+        }
+        log(`Flash erased (${((Date.now() - startTime) / 1000).toFixed(1)}s)`, 'success');
+    },
+
+    /**
+     * Erase a sector-aligned region of flash
+     * @param {number} offset - Start of the region
+     * @param {number} size - Length of the region in bytes
+     * @param {Function} progressCallback - Callback for progress updates (percent), when the erase is written as 0xFF
+     * @returns {Promise<void>}
+     */
+    async eraseRegion(offset, size, progressCallback = null) {
+        if (!this.connected || !this.esploader) {
+            throw new Error('Device not connected');
+        }
+
+        if (offset % FileHandler.FLASH_SECTOR_SIZE !== 0 || size % FileHandler.FLASH_SECTOR_SIZE !== 0) {
+            throw new Error(`Erase region 0x${offset.toString(16).toUpperCase()} (${size} bytes) is not aligned to 4KB sectors`);
+        }
+
+        this.session = null;
+
+        if (this.esploader.IS_STUB) {
+            const pkt = this.esploader._appendArray(this.esploader._intToByteArray(offset), this.esploader._intToByteArray(size));
+            await this.esploader.checkCommand(
+                'erase region',
+                this.esploader.ESP_ERASE_REGION,
+                pkt,
+                0,
+                this.esploader.timeoutPerMb(this.esploader.ERASE_REGION_TIMEOUT_PER_MB, size)
+            );
+        } else {
+            // The ROM loader has no erase command; writing 0xFF compresses to almost nothing
+            const flashConfig = { ...this.getFlashConfig(), compress: true };
+            await this.writeImage({ data: '\xff'.repeat(size), address: offset }, flashConfig, () => {}, (written, total) => {
+                if (progressCallback) {
+                    progressCallback((written / total) * 100);
+                }
+            });
+        }
+
+        if (progressCallback) {
+            progressCallback(100);
+        }
+    },
+
+    /**
+     * Read the partition table from the connected device
+     * @returns {Promise<Array>} Parsed partition entries
+     */
+    async readPartitionTable() {
+        if (!this.connected || !this.esploader) {
+            throw new Error('Device not connected');
         }
+
+        const data = await this.esploader.readFlash(
+            FileHandler.PARTITION_TABLE_OFFSET,
+            FileHandler.PARTITION_TABLE_MAX_SIZE
+        );
+        return FileHandler.parsePartitionTable(data.slice().buffer);
+    },
+
+    /**
+     * Determine which app partition the bootloader will run
+     * @param {Array} partitions - Partition entries read from the device
+     * @returns {Promise<Object|null>} Running app partition, or null if there is none
+     */
+    async findRunningAppPartition(partitions) {
+        const apps = partitions.filter(p => p.typeName === 'app');
+        const otaApps = apps
+            .filter(p => p.subtypeName.startsWith('ota_'))
+            .sort((a, b) => a.subtype - b.subtype);
+        const otadata = partitions.find(p => p.typeName === 'data' && p.subtypeName === 'ota');
+
+        // otadata holds two sectors with a sequence number each; the highest valid one selects the OTA slot
+        if (otadata && otaApps.length > 0) {
+            const data = await this.esploader.readFlash(otadata.offset, Math.min(otadata.size, 0x2000));
+            const view = new DataView(data.slice().buffer);
+            const sequences = [0, 0x1000]
+                .filter(offset => offset + 4 <= view.byteLength)
+                .map(offset => view.getUint32(offset, true))
+                .filter(seq => seq !== 0 && seq !== 0xFFFFFFFF);
+
+            if (sequences.length > 0) {
+                return otaApps[(Math.max(...sequences) - 1) % otaApps.length];
+            }
+        }
+
+        // Empty otadata boots the factory app, or the first OTA slot
+        return apps.find(p => p.subtypeName === 'factory') || otaApps[0] || null;
+    },
+
+    /**
+     * Read the app description of the firmware installed on the device
+     * @param {Array|null} partitions - Partition entries read from the device, read if omitted
+     * @returns {Promise<Object>} Object with partition and description (null if the app has none)
+     */
+    async readInstalledFirmware(partitions = null) {
+        partitions = partitions || await this.readPartitionTable();
+        const partition = await this.findRunningAppPartition(partitions);
+        if (!partition) {
+            throw new Error('No app partition found on device');
+        }
+
+        const data = await this.esploader.readFlash(
+            partition.offset,
+            EspImage.APP_DESC_OFFSET + EspImage.APP_DESC_SIZE
+        );
+
+        return {
+            partition,
+            description: EspImage.parseAppDescription(data.slice().buffer)
+        };
     },
 
     /**
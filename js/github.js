@@ -26,14 +26,15 @@ const GitHub = {
      * Fetch all releases from a GitHub repository
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
-     * @returns {Promise<Array>} Array of release objects
+     * @returns {Promise<Array>} Array of release objects (including rendered body_html)
      */
     async fetchReleases(owner, repo) {
         try {
             const url = `${this.API_BASE}/repos/${owner}/${repo}/releases`;
             const response = await fetch(url, {
                 headers: {
-                    'Accept': 'application/vnd.github.v3+json'
+                    // "full" media type adds the rendered release notes as body_html
+                    'Accept': 'application/vnd.github.v3.full+json'
                 }
             });
 
@@ -90,73 +91,28 @@ const GitHub = {
     },
 
     /**
-     * Download an asset from GitHub
-     * @param {string} url - Asset browser download URL
+     * Download an asset through the configured download sources
+     * @param {Object} asset - Release asset object
      * @param {Function} progressCallback - Optional callback for progress updates
+     * @param {Object} options - {tag, log} passed to DownloadSources.download
      * @returns {Promise<ArrayBuffer>} Asset data as ArrayBuffer
      */
-    async downloadAsset(url, progressCallback = null) {
+    async downloadAsset(asset, progressCallback = null, options = {}) {
         try {
-            // GitHub release assets don't support CORS from browsers
-            // Use ghproxy.com which is specifically designed for GitHub
-            const corsProxy = 'https://ghproxy.com/';
-            const proxyUrl = corsProxy + url;
-
-            console.log('Downloading via GitHub proxy:', url);
-
-            const response = await fetch(proxyUrl);
-
-            if (!response.ok) {
-                throw new Error(`Download failed with status ${response.status}. The file might be too large or the CORS proxy is unavailable.`);
-            }
-
-            const contentLength = response.headers.get('content-length');
-            const total = parseInt(contentLength, 10);
-            let loaded = 0;
-
-            const reader = response.body.getReader();
-            const chunks = [];
-
-            while (true) {
-                const { done, value } = await reader.read();
-
-                if (done) break;
-
-                chunks.push(value);
-                loaded += value.length;
-
-                if (progressCallback && total) {
-                    progressCallback(loaded, total);
-                } else if (progressCallback) {
-                    // If no content-length, just report loaded bytes
-                    progressCallback(loaded, loaded);
-                }
-            }
-
-            // Combine chunks into single ArrayBuffer
-            const totalLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
-            const result = new Uint8Array(totalLength);
-            let offset = 0;
-
-            for (const chunk of chunks) {
-                result.set(chunk, offset);
-                offset += chunk.length;
-            }
-
-            console.log(`Download complete: ${totalLength} bytes`);
-            return result.buffer;
+            const data = await DownloadSources.download(asset, { ...options, progressCallback });
+            console.log(`Download complete: ${data.byteLength} bytes`);
+            return data;
         } catch (error) {
             throw new Error(`Failed to download asset: ${error.message}. If the file is large, consider uploading the zip file directly instead.`);
         }
     },
 
     /**
-     * Find and download firmware zip from release assets
+     * Pick the firmware zip among release assets
      * @param {Array} assets - Array of release assets
-     * @param {Function} progressCallback - Optional callback for progress updates
-     * @returns {Promise<ArrayBuffer>} Firmware zip data
+     * @returns {Object} Selected asset
      */
-    async downloadFirmwareZip(assets, progressCallback = null) {
+    selectFirmwareAsset(assets) {
         // Look for zip files in assets
         const zipAssets = assets.filter(asset =>
             asset.name.toLowerCase().endsWith('.zip')
@@ -177,8 +133,20 @@ const GitHub = {
             selectedAsset = zipAssets[0];
         }
 
+        return selectedAsset;
+    },
+
+    /**
+     * Find and download firmware zip from release assets
+     * @param {Array} assets - Array of release assets
+     * @param {Function} progressCallback - Optional callback for progress updates
+     * @param {Object} options - {tag, log} passed to DownloadSources.download
+     * @returns {Promise<ArrayBuffer>} Firmware zip data
+     */
+    async downloadFirmwareZip(assets, progressCallback = null, options = {}) {
+        const selectedAsset = this.selectFirmwareAsset(assets);
+
         console.log(`Downloading: ${selectedAsset.name}`);
-        // Use browser_download_url with CORS proxy
-        return this.downloadAsset(selectedAsset.browser_download_url, progressCallback);
+        return this.downloadAsset(selectedAsset, progressCallback, options);
     }
 };
@@ -0,0 +1,740 @@
+/**
+ * LittleFS Module
+ * Reads LittleFS (v2) images into a file tree and builds new images from one
+ */
+
+const LittleFS = {
+    DEFAULT_BLOCK_SIZE: 0x1000,
+    MAGIC: 'littlefs',
+    DISK_VERSION: 0x00020000,
+
+    // Limits of a freshly formatted filesystem (littlefs defaults)
+    DEFAULT_NAME_MAX: 255,
+    DEFAULT_FILE_MAX: 0x7FFFFFFF,
+    DEFAULT_ATTR_MAX: 1022,
+
+    // Commits are padded so the next one starts on a program unit of any common configuration
+    PROG_SIZE: 256,
+
+    // Files up to this size (and at most blockSize / 8 and attrMax) are stored inline in their metadata block
+    INLINE_MAX: 0x3FE,
+
+    // 11 bit tag types
+    TYPE_REG: 0x001,
+    TYPE_DIR: 0x002,
+    TYPE_SUPERBLOCK: 0x0FF,
+    TYPE_DIRSTRUCT: 0x200,
+    TYPE_INLINESTRUCT: 0x201,
+    TYPE_CTZSTRUCT: 0x202,
+    TYPE_CREATE: 0x401,
+    TYPE_DELETE: 0x4FF,
+    TYPE_SOFTTAIL: 0x600,
+    TYPE_HARDTAIL: 0x601,
+
+    TAG_NO_ID: 0x3FF,
+    TAG_DELETED_SIZE: 0x3FF,
+    BLOCK_NULL: 0xFFFFFFFF,
+
+    crcTable: null,
+
+    /**
+     * Continue a littlefs CRC-32 (reflected 0x04C11DB7, no final inversion)
+     * @param {number} crc - Running CRC, 0xFFFFFFFF to start
+     * @param {Uint8Array} data - Bytes to add
+     * @returns {number} Unsigned CRC
+     */
+    crc32(crc, data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return crc >>> 0;
+    },
+
+    /**
+     * Read a LittleFS image
+     * @param {ArrayBuffer|Uint8Array} buffer - Image contents
+     * @returns {Object} Object with config {version, blockSize, blockCount, nameMax, fileMax, attrMax} and root directory node
+     */
+    parse(buffer) {
+        const image = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        // The superblock holds the real block size; it is always in block 0 or 1
+        let config = null;
+        for (const block of [0, 1]) {
+            const mdir = this.readMetadataBlock(image, this.DEFAULT_BLOCK_SIZE, block);
+            const superblock = mdir && mdir.entries[0];
+            if (superblock && superblock.type === this.TYPE_SUPERBLOCK && superblock.struct) {
+                config = this.parseSuperblock(superblock);
+                break;
+            }
+        }
+        if (!config) {
+            throw new Error('No LittleFS superblock found');
+        }
+
+        const context = { image, blockSize: config.blockSize, visited: new Set() };
+        const root = this.readDirectory(context, [0, 1], '');
+        return { config, root };
+    },
+
+    /**
+     * Decode the superblock entry
+     * @param {Object} entry - Metadata entry of type superblock
+     * @returns {Object} Filesystem configuration
+     */
+    parseSuperblock(entry) {
+        if (entry.name !== this.MAGIC || entry.struct.type !== this.TYPE_INLINESTRUCT || entry.struct.data.length < 12) {
+            throw new Error('Invalid LittleFS superblock');
+        }
+
+        const data = entry.struct.data;
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const field = (index, fallback) => index * 4 + 4 <= data.length ? view.getUint32(index * 4, true) : fallback;
+        const config = {
+            version: field(0),
+            blockSize: field(1),
+            blockCount: field(2),
+            nameMax: field(3, 0) || this.DEFAULT_NAME_MAX,
+            fileMax: field(4, 0) || this.DEFAULT_FILE_MAX,
+            attrMax: field(5, 0) || this.DEFAULT_ATTR_MAX
+        };
+
+        if (config.version >>> 16 !== 2) {
+            throw new Error(`Unsupported LittleFS version ${config.version >>> 16}.${config.version & 0xFFFF}`);
+        }
+        if (config.blockSize < 128 || config.blockSize % 4 !== 0) {
+            throw new Error(`Invalid LittleFS block size ${config.blockSize}`);
+        }
+        return config;
+    },
+
+    /**
+     * Read a directory and everything below it
+     * @param {Object} context - {image, blockSize, visited}
+     * @param {Array} pair - Metadata pair of the directory
+     * @param {string} path - Path of the directory
+     * @returns {Object} Directory node {type: 'dir', name, children}
+     */
+    readDirectory(context, pair, path) {
+        const node = { type: 'dir', name: path.split('/').pop(), children: [] };
+
+        // A directory continues in the next pair while its tail is a hard tail
+        let current = pair;
+        while (current) {
+            const key = Math.min(...current);
+            if (context.visited.has(key)) {
+                throw new Error(`Metadata pair {${current.join(', ')}} is referenced twice`);
+            }
+            context.visited.add(key);
+
+            const mdir = this.fetchPair(context.image, context.blockSize, current);
+            for (const entry of mdir.entries) {
+                if (!entry || entry.type === this.TYPE_SUPERBLOCK) {
+                    continue;
+                }
+                const childPath = `${path}/${entry.name}`;
+                if (entry.type === this.TYPE_DIR && entry.struct && entry.struct.type === this.TYPE_DIRSTRUCT) {
+                    node.children.push(this.readDirectory(context, this.readPair(entry.struct.data), childPath));
+                } else if (entry.type === this.TYPE_REG) {
+                    node.children.push({ type: 'file', name: entry.name, data: this.readFileData(context, entry, childPath) });
+                }
+            }
+            current = mdir.hardTail ? mdir.tail : null;
+        }
+
+        return node;
+    },
+
+    /**
+     * Read the contents of a file entry
+     * @param {Object} context - {image, blockSize}
+     * @param {Object} entry - Metadata entry with its struct
+     * @param {string} path - File path, for error messages
+     * @returns {Uint8Array} File contents
+     */
+    readFileData(context, entry, path) {
+        if (!entry.struct) {
+            throw new Error(`${path} has no data structure`);
+        }
+        if (entry.struct.type === this.TYPE_INLINESTRUCT) {
+            return entry.struct.data.slice();
+        }
+        if (entry.struct.type !== this.TYPE_CTZSTRUCT) {
+            throw new Error(`${path} has an unknown data structure`);
+        }
+
+        const view = new DataView(entry.struct.data.buffer, entry.struct.data.byteOffset, 8);
+        const head = view.getUint32(0, true);
+        const size = view.getUint32(4, true);
+        const { image, blockSize } = context;
+        const data = new Uint8Array(size);
+        if (size === 0) {
+            return data;
+        }
+
+        // Walk back from the last block through each block's first pointer
+        const count = this.ctzIndex(blockSize, size - 1) + 1;
+        const blocks = new Array(count);
+        blocks[count - 1] = head;
+        for (let n = count - 1; n > 0; n--) {
+            blocks[n - 1] = this.readUint32(image, blocks[n] * blockSize);
+            if (blocks[n - 1] * blockSize >= image.length) {
+                throw new Error(`${path} points past the end of the image (block ${blocks[n - 1]})`);
+            }
+        }
+
+        let written = 0;
+        blocks.forEach((block, n) => {
+            const start = block * blockSize + (n === 0 ? 0 : 4 * (this.ctz(n) + 1));
+            const length = Math.min(size - written, (block + 1) * blockSize - start);
+            data.set(this.readBytes(image, start, length), written);
+            written += length;
+        });
+        return data;
+    },
+
+    /**
+     * Find which block of a CTZ skip-list holds a file position
+     * @param {number} blockSize - Block size
+     * @param {number} offset - Position in the file
+     * @returns {number} Block index
+     */
+    ctzIndex(blockSize, offset) {
+        const b = blockSize - 2 * 4;
+        let i = Math.floor(offset / b);
+        if (i === 0) {
+            return 0;
+        }
+        i = Math.floor((offset - 4 * (this.popcount(i - 1) + 2)) / b);
+        return i;
+    },
+
+    /**
+     * Count trailing zero bits
+     * @param {number} value - Non-zero integer
+     * @returns {number} Number of trailing zeros
+     */
+    ctz(value) {
+        return 31 - Math.clz32(value & -value);
+    },
+
+    /**
+     * Count set bits
+     * @param {number} value - Integer
+     * @returns {number} Number of one bits
+     */
+    popcount(value) {
+        let count = 0;
+        for (let v = value >>> 0; v; v &= v - 1) {
+            count++;
+        }
+        return count;
+    },
+
+    /**
+     * Fetch the newest valid revision of a metadata pair
+     * @param {Uint8Array} image - Image contents
+     * @param {number} blockSize - Block size
+     * @param {Array} pair - Two block addresses
+     * @returns {Object} Metadata {entries, tail, hardTail}
+     */
+    fetchPair(image, blockSize, pair) {
+        const revisions = pair.map(block => this.readUint32(image, block * blockSize));
+
+        // Revisions are compared as sequence numbers, so they may wrap
+        const newerFirst = ((revisions[1] - revisions[0]) | 0) > 0 ? [pair[1], pair[0]] : pair;
+        for (const block of newerFirst) {
+            const mdir = this.readMetadataBlock(image, blockSize, block);
+            if (mdir) {
+                return mdir;
+            }
+        }
+        throw new Error(`Corrupt metadata pair {${pair.join(', ')}}`);
+    },
+
+    /**
+     * Replay the commits of one metadata block
+     * @param {Uint8Array} image - Image contents
+     * @param {number} blockSize - Block size
+     * @param {number} block - Block address
+     * @returns {Object|null} Metadata {entries, tail, hardTail}, or null without a valid commit
+     */
+    readMetadataBlock(image, blockSize, block) {
+        const base = block * blockSize;
+        if (base + blockSize > image.length) {
+            return null;
+        }
+
+        const entries = [];
+        let tail = null;
+        let hardTail = false;
+        let committed = false;
+        let pending = [];
+
+        let crc = this.crc32(0xFFFFFFFF, image.subarray(base, base + 4));
+        let ptag = 0xFFFFFFFF;
+        let off = 4;
+
+        while (off + 4 <= blockSize) {
+            const raw = image.subarray(base + off, base + off + 4);
+            crc = this.crc32(crc, raw);
+            const tag = (this.readUint32BE(raw) ^ ptag) >>> 0;
+
+            // The first unprogrammed tag ends the log
+            if (tag & 0x80000000) {
+                break;
+            }
+            const type = (tag >>> 20) & 0x7FF;
+            const id = (tag >>> 10) & 0x3FF;
+            const size = tag & 0x3FF;
+            const dataSize = size === this.TAG_DELETED_SIZE ? 0 : size;
+            if (off + 4 + dataSize > blockSize) {
+                break;
+            }
+            ptag = tag;
+
+            if ((type & 0x780) === 0x500 && type !== 0x5FF) {
+                // CRC tag: everything since the previous CRC is committed if it matches
+                if (this.readUint32(image, base + off + 4) !== crc) {
+                    break;
+                }
+                pending.forEach(change => this.applyTag(entries, change, (value) => {
+                    tail = value.tail;
+                    hardTail = value.hard;
+                }));
+                pending = [];
+                committed = true;
+                ptag = (ptag ^ ((type & 1) << 31)) >>> 0;
+                crc = 0xFFFFFFFF;
+            } else {
+                const data = image.subarray(base + off + 4, base + off + 4 + dataSize);
+                crc = this.crc32(crc, data);
+                pending.push({ type, id, size, data });
+            }
+            off += 4 + dataSize;
+        }
+
+        return committed ? { entries, tail, hardTail } : null;
+    },
+
+    /**
+     * Apply one committed tag to the entries of a metadata block
+     * @param {Array} entries - Entries indexed by id
+     * @param {Object} change - Tag {type, id, size, data}
+     * @param {Function} setTail - Called with {tail, hard} for tail tags
+     */
+    applyTag(entries, change, setTail) {
+        const { type, id, size, data } = change;
+        const deleted = size === this.TAG_DELETED_SIZE;
+
+        if (type === this.TYPE_CREATE) {
+            entries.splice(id, 0, {});
+        } else if (type === this.TYPE_DELETE) {
+            entries.splice(id, 1);
+        } else if ((type & 0x700) === 0x000 && id !== this.TAG_NO_ID) {
+            // Name tags of an id past the end implicitly extend the block
+            while (entries.length <= id) {
+                entries.push({});
+            }
+            entries[id].type = type;
+            entries[id].name = new TextDecoder().decode(data);
+        } else if ((type & 0x700) === 0x200 && id !== this.TAG_NO_ID) {
+            while (entries.length <= id) {
+                entries.push({});
+            }
+            entries[id].struct = deleted ? null : { type, data };
+        } else if (type === this.TYPE_SOFTTAIL || type === this.TYPE_HARDTAIL) {
+            setTail({ tail: this.readPair(data), hard: type === this.TYPE_HARDTAIL });
+        }
+        // User attributes and global state are not needed to read files
+    },
+
+    /**
+     * Decode a metadata pair (two little-endian block addresses)
+     * @param {Uint8Array} data - 8 bytes
+     * @returns {Array} Block pair
+     */
+    readPair(data) {
+        const view = new DataView(data.buffer, data.byteOffset, 8);
+        return [view.getUint32(0, true), view.getUint32(4, true)];
+    },
+
+    /**
+     * Read a little-endian 32 bit word, 0xFFFFFFFF past the end of the image
+     * @param {Uint8Array} image - Image contents
+     * @param {number} offset - Byte offset
+     * @returns {number} Unsigned value
+     */
+    readUint32(image, offset) {
+        if (offset + 4 > image.length) {
+            return this.BLOCK_NULL;
+        }
+        return (image[offset] | (image[offset + 1] << 8) | (image[offset + 2] << 16) | (image[offset + 3] << 24)) >>> 0;
+    },
+
+    /**
+     * Read a big-endian 32 bit word (tags are stored big-endian)
+     * @param {Uint8Array} bytes - 4 bytes
+     * @returns {number} Unsigned value
+     */
+    readUint32BE(bytes) {
+        return ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    },
+
+    /**
+     * Copy bytes of the image, padding with erased bytes past its end
+     * @param {Uint8Array} image - Image contents
+     * @param {number} offset - Byte offset
+     * @param {number} length - Number of bytes
+     * @returns {Uint8Array} Bytes
+     */
+    readBytes(image, offset, length) {
+        const bytes = new Uint8Array(length).fill(0xFF);
+        if (offset < image.length) {
+            bytes.set(image.subarray(offset, Math.min(offset + length, image.length)));
+        }
+        return bytes;
+    },
+
+    /**
+     * List all files of a tree
+     * @param {Object} root - Root directory node
+     * @returns {Array} Files {path, size, data}, sorted by path
+     */
+    listFiles(root) {
+        const files = [];
+        const walk = (node, path) => {
+            node.children.forEach(child => {
+                const childPath = `${path}/${child.name}`;
+                if (child.type === 'dir') {
+                    walk(child, childPath);
+                } else {
+                    files.push({ path: childPath, size: child.data.length, data: child.data });
+                }
+            });
+        };
+        walk(root, '');
+        return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    },
+
+    /**
+     * Split a path into its names
+     * @param {string} path - Absolute or relative path
+     * @returns {Array} Path names
+     */
+    splitPath(path) {
+        const names = path.split('/').filter(name => name && name !== '.');
+        if (names.length === 0 || names.includes('..')) {
+            throw new Error(`Invalid path "${path}"`);
+        }
+        return names;
+    },
+
+    /**
+     * Add or replace a file, creating missing directories
+     * @param {Object} root - Root directory node
+     * @param {string} path - File path
+     * @param {Uint8Array} data - File contents
+     */
+    writeFile(root, path, data) {
+        const names = this.splitPath(path);
+        const filename = names.pop();
+        let dir = root;
+
+        for (const name of names) {
+            let child = dir.children.find(c => c.name === name);
+            if (!child) {
+                child = { type: 'dir', name, children: [] };
+                dir.children.push(child);
+            } else if (child.type !== 'dir') {
+                throw new Error(`${name} in ${path} is a file, not a directory`);
+            }
+            dir = child;
+        }
+
+        const existing = dir.children.find(c => c.name === filename);
+        if (existing && existing.type === 'dir') {
+            throw new Error(`${path} is a directory`);
+        }
+        if (existing) {
+            existing.data = data;
+        } else {
+            dir.children.push({ type: 'file', name: filename, data });
+        }
+    },
+
+    /**
+     * Remove a file, and directories left empty by it
+     * @param {Object} root - Root directory node
+     * @param {string} path - File path
+     */
+    removeFile(root, path) {
+        const names = this.splitPath(path);
+        const parents = [root];
+        for (const name of names.slice(0, -1)) {
+            const child = parents[parents.length - 1].children.find(c => c.name === name && c.type === 'dir');
+            if (!child) {
+                throw new Error(`${path} does not exist`);
+            }
+            parents.push(child);
+        }
+
+        const dir = parents[parents.length - 1];
+        const index = dir.children.findIndex(c => c.name === names[names.length - 1] && c.type === 'file');
+        if (index === -1) {
+            throw new Error(`${path} does not exist`);
+        }
+        dir.children.splice(index, 1);
+
+        for (let i = parents.length - 1; i > 0 && parents[i].children.length === 0; i--) {
+            parents[i - 1].children.splice(parents[i - 1].children.indexOf(parents[i]), 1);
+        }
+    },
+
+    /**
+     * Build a LittleFS image from a tree
+     * @param {Object} root - Root directory node
+     * @param {Object} config - {blockSize, blockCount, version, nameMax, fileMax, attrMax}
+     * @returns {Uint8Array} Image of blockCount blocks
+     */
+    build(root, config) {
+        const blockSize = config.blockSize;
+        const blockCount = config.blockCount;
+        const nameMax = config.nameMax || this.DEFAULT_NAME_MAX;
+        const inlineMax = Math.min(this.INLINE_MAX, blockSize / 8, config.attrMax || this.DEFAULT_ATTR_MAX);
+        const encoder = new TextEncoder();
+
+        // Entries are kept sorted by name, as littlefs inserts them
+        const compareNames = (a, b) => {
+            const length = Math.min(a.length, b.length);
+            for (let i = 0; i < length; i++) {
+                if (a[i] !== b[i]) {
+                    return a[i] - b[i];
+                }
+            }
+            return a.length - b.length;
+        };
+
+        // Plan the metadata blocks of every directory, depth first
+        const directories = [];
+        const planDirectory = (node, path, isRoot) => {
+            const entries = node.children.map(child => {
+                const name = encoder.encode(child.name);
+                if (name.length === 0 || name.length > nameMax) {
+                    throw new Error(`Name of ${path}/${child.name} must be 1-${nameMax} bytes`);
+                }
+                // Small files live in the metadata block instead of taking a block each, as littlefs writes them
+                const inline = child.type === 'file' && child.data.length <= inlineMax;
+                return { node: child, name, inline };
+            }).sort((a, b) => compareNames(a.name, b.name));
+
+            const directory = { entries, mdirs: this.splitEntries(entries, blockSize, isRoot) };
+            directories.push(directory);
+            entries.filter(entry => entry.node.type === 'dir').forEach(entry => {
+                entry.directory = planDirectory(entry.node, `${path}/${entry.node.name}`, false);
+            });
+            return directory;
+        };
+        planDirectory(root, '', true);
+
+        // The root always starts at blocks {0, 1}
+        let nextBlock = 0;
+        const allocate = () => {
+            if (nextBlock >= blockCount) {
+                throw new Error(`Files do not fit in ${blockCount} blocks of ${blockSize} bytes`);
+            }
+            return nextBlock++;
+        };
+        const mdirs = [];
+        directories.forEach(directory => directory.mdirs.forEach(mdir => {
+            mdir.pair = [allocate(), allocate()];
+            mdirs.push(mdir);
+        }));
+
+        const image = new Uint8Array(blockCount * blockSize).fill(0xFF);
+
+        // Larger file contents go into CTZ skip-lists after the metadata
+        directories.forEach(directory => directory.entries.forEach(entry => {
+            if (entry.node.type === 'file' && !entry.inline) {
+                entry.ctz = this.writeCtz(image, blockSize, entry.node.data, allocate);
+            }
+        }));
+
+        // Each metadata pair links to the next: hard tails within a directory, soft tails between directories
+        mdirs.forEach((mdir, index) => {
+            const next = mdirs[index + 1];
+            const tail = next ? { pair: next.pair, hard: next.directory === mdir.directory } : null;
+            this.writeMetadata(image, blockSize, mdir, tail, config);
+        });
+
+        return image;
+    },
+
+    /**
+     * Split the entries of a directory over metadata blocks, each at most half full like a littlefs compaction
+     * @param {Array} entries - Sorted entries {node, name, inline}
+     * @param {number} blockSize - Block size
+     * @param {boolean} isRoot - Whether the superblock entry comes first
+     * @returns {Array} Metadata blocks {directory, superblock, entries}
+     */
+    splitEntries(entries, blockSize, isRoot) {
+        // Revision, tail and CRC tags
+        const overhead = 4 + 12 + 8;
+        const limit = Math.min(blockSize - 36, blockSize / 2);
+        const mdirs = [];
+        const directory = {};
+        let current = { directory, superblock: isRoot, entries: [] };
+        let size = overhead + (isRoot ? 4 + this.MAGIC.length + 4 + 24 : 0);
+
+        entries.forEach(entry => {
+            const entrySize = 4 + entry.name.length + 4 + (entry.inline ? entry.node.data.length : 8);
+            if (current.entries.length > 0 && (size + entrySize > limit || current.entries.length >= 0xFE)) {
+                mdirs.push(current);
+                current = { directory, superblock: false, entries: [] };
+                size = overhead;
+            }
+            current.entries.push(entry);
+            size += entrySize;
+        });
+        mdirs.push(current);
+
+        return mdirs;
+    },
+
+    /**
+     * Write file contents as a CTZ skip-list
+     * @param {Uint8Array} image - Image being built
+     * @param {number} blockSize - Block size
+     * @param {Uint8Array} data - File contents
+     * @param {Function} allocate - Returns the next free block
+     * @returns {Object} {head, size}
+     */
+    writeCtz(image, blockSize, data, allocate) {
+        const blocks = [];
+        let written = 0;
+
+        for (let n = 0; written < data.length; n++) {
+            const block = allocate();
+            const base = block * blockSize;
+            blocks.push(block);
+
+            // Block n points back to blocks n - 2^k for every k up to ctz(n)
+            let start = 0;
+            if (n > 0) {
+                const pointers = this.ctz(n) + 1;
+                for (let k = 0; k < pointers; k++) {
+                    this.writeUint32(image, base + 4 * k, blocks[n - (1 << k)]);
+                }
+                start = 4 * pointers;
+            }
+
+            const length = Math.min(data.length - written, blockSize - start);
+            image.set(data.subarray(written, written + length), base + start);
+            written += length;
+        }
+
+        return { head: blocks[blocks.length - 1], size: data.length };
+    },
+
+    /**
+     * Write one compacted commit into the first block of a metadata pair
+     * @param {Uint8Array} image - Image being built
+     * @param {number} blockSize - Block size
+     * @param {Object} mdir - Metadata block {pair, superblock, entries}
+     * @param {Object|null} tail - Next metadata pair {pair, hard}
+     * @param {Object} config - Filesystem configuration
+     */
+    writeMetadata(image, blockSize, mdir, tail, config) {
+        const base = mdir.pair[0] * blockSize;
+        let off = 0;
+        let ptag = 0xFFFFFFFF;
+        let crc = 0xFFFFFFFF;
+
+        const program = (bytes) => {
+            image.set(bytes, base + off);
+            crc = this.crc32(crc, bytes);
+            off += bytes.length;
+        };
+        const writeTag = (type, id, data) => {
+            const tag = ((type << 20) | (id << 10) | data.length) >>> 0;
+            const raw = new Uint8Array(4);
+            new DataView(raw.buffer).setUint32(0, (tag ^ ptag) >>> 0, false);
+            program(raw);
+            program(data);
+            ptag = tag;
+        };
+        const words = (...values) => {
+            const data = new Uint8Array(values.length * 4);
+            values.forEach((value, i) => new DataView(data.buffer).setUint32(i * 4, value >>> 0, true));
+            return data;
+        };
+
+        // Revision 1 in the first block; the second stays erased and is older
+        program(words(1));
+
+        let id = 0;
+        if (mdir.superblock) {
+            writeTag(this.TYPE_SUPERBLOCK, id, new TextEncoder().encode(this.MAGIC));
+            writeTag(this.TYPE_INLINESTRUCT, id, words(
+                config.version || this.DISK_VERSION,
+                blockSize,
+                config.blockCount,
+                config.nameMax || this.DEFAULT_NAME_MAX,
+                config.fileMax || this.DEFAULT_FILE_MAX,
+                config.attrMax || this.DEFAULT_ATTR_MAX
+            ));
+            id++;
+        }
+
+        mdir.entries.forEach(entry => {
+            if (entry.node.type === 'dir') {
+                writeTag(this.TYPE_DIR, id, entry.name);
+                writeTag(this.TYPE_DIRSTRUCT, id, words(...entry.directory.mdirs[0].pair));
+            } else {
+                writeTag(this.TYPE_REG, id, entry.name);
+                if (entry.inline) {
+                    writeTag(this.TYPE_INLINESTRUCT, id, entry.node.data);
+                } else {
+                    writeTag(this.TYPE_CTZSTRUCT, id, words(entry.ctz.head, entry.ctz.size));
+                }
+            }
+            id++;
+        });
+
+        if (tail) {
+            writeTag(tail.hard ? this.TYPE_HARDTAIL : this.TYPE_SOFTTAIL, this.TAG_NO_ID, words(...tail.pair));
+        }
+
+        // The CRC tag's length skips the padding up to the next program unit, which stays erased
+        const end = Math.ceil((off + 8) / this.PROG_SIZE) * this.PROG_SIZE;
+        if (end > blockSize) {
+            throw new Error('Directory metadata does not fit in a block');
+        }
+        const crcTag = ((0x500 << 20) | (this.TAG_NO_ID << 10) | (end - off - 4)) >>> 0;
+        const raw = new Uint8Array(4);
+        new DataView(raw.buffer).setUint32(0, (crcTag ^ ptag) >>> 0, false);
+        program(raw);
+        this.writeUint32(image, base + off, crc);
+    },
+
+    /**
+     * Write a little-endian 32 bit word
+     * @param {Uint8Array} image - Image being built
+     * @param {number} offset - Byte offset
+     * @param {number} value - Unsigned value
+     */
+    writeUint32(image, offset, value) {
+        new DataView(image.buffer, image.byteOffset).setUint32(offset, value >>> 0, true);
+    }
+};
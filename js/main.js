@@ -4,223 +4,2376 @@
  */
 
 const App = {
+    // Lines kept in the serial monitor view
+    MONITOR_MAX_LINES: 5000,
+
+    // Console lines kept for the diagnostic bundle, across clearConsole()
+    LOG_MAX_LINES: 10000,
+
+    // Checked against minUpdaterVersion of firmware package manifests, bump when the updater changes
+    UPDATER_VERSION: '1.0.0',
+
+    // Flash size assumed for offset checks until a device is connected (4 MB on the scale)
+    DEFAULT_FLASH_SIZE: 0x400000,
+
     // Application state
     state: {
         firmwareFiles: null,
+        partitions: null,
+        manifest: null,
         connected: false,
+        busy: false,
+        restoreFile: null,
+        deviceInfo: null,
+        firmwareSource: 'upload',
+        firmwareOrigin: null,
+        releases: [],
+        releaseRepo: null,
+        releaseSource: null,
+        downloading: false,
+        devicePartitions: null,
+        installedFirmware: null,
+        newFirmware: null,
         flashing: false,
         customOffsets: {},
-        advancedMode: false
+        advancedMode: false,
+        verifyAfterFlash: true,
+        preserveNvs: false,
+        monitorOpen: false,
+        fsImage: null,
+        batchRunning: false,
+        logLines: [],
+        lastError: null,
+        monitorLines: []
     },
 
     // Initialize application
     init() {
         this.cacheElements();
         this.attachEventListeners();
+        this.elements.downloadSources.value = DownloadSources.formatSourceList(DownloadSources.getSources());
+        this.renderFlashSettings();
+        this.renderBackupRegions();
+        this.renderEraseRegions();
+        this.renderReleases();
+        this.renderHistory();
         this.updateUI();
     },
 
     // Cache DOM elements
     cacheElements() {
         this.elements = {
+            // Firmware source
+            sourceRadios: document.querySelectorAll('input[name="firmware-source"]'),
+            uploadSource: document.getElementById('upload-source'),
+            githubSource: document.getElementById('github-source'),
+            recentSource: document.getElementById('recent-source'),
+            recentFirmwareList: document.getElementById('recent-firmware-list'),
+            clearCacheBtn: document.getElementById('clear-cache-btn'),
+
             // Upload element
             zipUpload: document.getElementById('zip-upload'),
+            dropZone: document.getElementById('drop-zone'),
+
+            // GitHub releases
+            githubRepo: document.getElementById('github-repo'),
+            prereleaseCheckbox: document.getElementById('prerelease-checkbox'),
+            loadReleasesBtn: document.getElementById('load-releases-btn'),
+            releaseSelect: document.getElementById('release-select'),
+            releaseNotes: document.getElementById('release-notes'),
+            downloadReleaseBtn: document.getElementById('download-release-btn'),
+            downloadSources: document.getElementById('download-sources'),
+            saveSourcesBtn: document.getElementById('save-sources-btn'),
 
             // Device connection
             connectBtn: document.getElementById('connect-btn'),
             disconnectBtn: document.getElementById('disconnect-btn'),
+            baudRateSelect: document.getElementById('baud-rate-select'),
+            flashModeSelect: document.getElementById('flash-mode-select'),
+            flashFreqSelect: document.getElementById('flash-freq-select'),
+            resetModeSelect: document.getElementById('reset-mode-select'),
+            compressCheckbox: document.getElementById('compress-checkbox'),
             deviceInfo: document.getElementById('device-info'),
             chipType: document.getElementById('chip-type'),
             macAddress: document.getElementById('mac-address'),
             flashSize: document.getElementById('flash-size'),
+            installedVersion: document.getElementById('installed-version'),
+            newVersion: document.getElementById('new-version'),
+            versionNotice: document.getElementById('version-notice'),
+
+            // Backup
+            backupRegion: document.getElementById('backup-region'),
+            backupBtn: document.getElementById('backup-btn'),
+            restoreUpload: document.getElementById('restore-upload'),
+            restoreOffset: document.getElementById('restore-offset'),
+            restoreBtn: document.getElementById('restore-btn'),
+
+            // Maintenance
+            eraseRegion: document.getElementById('erase-region'),
+            eraseRegionBtn: document.getElementById('erase-region-btn'),
+            factoryResetBtn: document.getElementById('factory-reset-btn'),
+            eraseFlashBtn: document.getElementById('erase-flash-btn'),
+
+            // Filesystem image
+            fsOpenBtn: document.getElementById('fs-open-btn'),
+            fsBrowser: document.getElementById('fs-browser'),
+            fsInfo: document.getElementById('fs-info'),
+            fsFileList: document.getElementById('fs-file-list'),
+            fsAddPath: document.getElementById('fs-add-path'),
+            fsAddFile: document.getElementById('fs-add-file'),
+            fsAddBtn: document.getElementById('fs-add-btn'),
+            fsRebuildBtn: document.getElementById('fs-rebuild-btn'),
+            fsReplaceInput: document.getElementById('fs-replace-input'),
+            fsViewer: document.getElementById('fs-viewer'),
+
+            // NVS viewer
+            nvsReadBtn: document.getElementById('nvs-read-btn'),
+            nvsOutput: document.getElementById('nvs-output'),
 
             // Flash controls
             flashBtn: document.getElementById('flash-btn'),
+            cancelFlashBtn: document.getElementById('cancel-flash-btn'),
+            resumeFlashBtn: document.getElementById('resume-flash-btn'),
+            flashAttempts: document.getElementById('flash-attempts'),
+            verifyCheckbox: document.getElementById('verify-checkbox'),
+            preserveNvsCheckbox: document.getElementById('preserve-nvs-checkbox'),
             progressContainer: document.getElementById('progress-container'),
             progressFill: document.getElementById('progress-fill'),
             console: document.getElementById('console'),
+            diagnosticsBtn: document.getElementById('diagnostics-btn'),
+            mergeFlashSize: document.getElementById('merge-flash-size'),
+            exportMergedBtn: document.getElementById('export-merged-btn'),
+
+            // Production batch
+            batchEraseCheckbox: document.getElementById('batch-erase-checkbox'),
+            batchStartBtn: document.getElementById('batch-start-btn'),
+            batchAddBtn: document.getElementById('batch-add-btn'),
+            batchStopBtn: document.getElementById('batch-stop-btn'),
+            batchExportBtn: document.getElementById('batch-export-btn'),
+            batchStatus: document.getElementById('batch-status'),
+            batchIgnored: document.getElementById('batch-ignored'),
+            batchIgnoredText: document.getElementById('batch-ignored-text'),
+            batchFlashIgnoredBtn: document.getElementById('batch-flash-ignored-btn'),
+            batchResults: document.getElementById('batch-results'),
 
             // Advanced options
             advancedModeCheckbox: document.getElementById('advanced-mode-checkbox'),
             offsetEditorPanel: document.getElementById('offset-editor-panel'),
             offsetTableContainer: document.getElementById('offset-table-container'),
-            resetAllOffsetsBtn: document.getElementById('reset-all-offsets-btn')
+            resetAllOffsetsBtn: document.getElementById('reset-all-offsets-btn'),
+            flashMapContainer: document.getElementById('flash-map-container'),
+
+            // Serial monitor
+            monitorAfterFlashCheckbox: document.getElementById('monitor-after-flash-checkbox'),
+            monitorBaud: document.getElementById('monitor-baud'),
+            monitorOpenBtn: document.getElementById('monitor-open-btn'),
+            monitorCloseBtn: document.getElementById('monitor-close-btn'),
+            monitorResetBtn: document.getElementById('monitor-reset-btn'),
+            monitorAutoscrollCheckbox: document.getElementById('monitor-autoscroll-checkbox'),
+            monitorTimestampsCheckbox: document.getElementById('monitor-timestamps-checkbox'),
+            monitorPauseCheckbox: document.getElementById('monitor-pause-checkbox'),
+            monitorSearch: document.getElementById('monitor-search'),
+            monitorOutput: document.getElementById('monitor-output'),
+            monitorInput: document.getElementById('monitor-input'),
+            monitorLineEnding: document.getElementById('monitor-line-ending'),
+            monitorSendBtn: document.getElementById('monitor-send-btn'),
+            monitorSaveBtn: document.getElementById('monitor-save-btn'),
+            monitorClearBtn: document.getElementById('monitor-clear-btn'),
+
+            // History
+            historyFilter: document.getElementById('history-filter'),
+            historyExportBtn: document.getElementById('history-export-btn'),
+            historyClearBtn: document.getElementById('history-clear-btn'),
+            historyList: document.getElementById('history-list'),
+            historyViewer: document.getElementById('history-viewer')
         };
     },
 
     // Attach event listeners
     attachEventListeners() {
+        // Firmware source
+        this.elements.sourceRadios.forEach(radio => {
+            radio.addEventListener('change', (e) => this.onSourceChange(e));
+        });
+
         // Upload
         this.elements.zipUpload.addEventListener('change', (e) => this.onZipUpload(e));
+        this.elements.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.elements.dropZone.classList.add('dragover');
+        });
+        this.elements.dropZone.addEventListener('dragleave', () => {
+            this.elements.dropZone.classList.remove('dragover');
+        });
+        this.elements.dropZone.addEventListener('drop', (e) => this.onFirmwareDrop(e));
+
+        // Recent firmware
+        this.elements.clearCacheBtn.addEventListener('click', () => this.onClearFirmwareCache());
+
+        // GitHub releases
+        this.elements.loadReleasesBtn.addEventListener('click', () => this.onLoadReleases());
+        this.elements.prereleaseCheckbox.addEventListener('change', () => this.renderReleases());
+        this.elements.releaseSelect.addEventListener('change', () => this.renderReleaseNotes());
+        this.elements.downloadReleaseBtn.addEventListener('click', () => this.onDownloadRelease());
+        this.elements.saveSourcesBtn.addEventListener('click', () => this.onSaveDownloadSources());
 
         // Device connection
         this.elements.connectBtn.addEventListener('click', () => this.onConnect());
         this.elements.disconnectBtn.addEventListener('click', () => this.onDisconnect());
+        [
+            this.elements.baudRateSelect,
+            this.elements.flashModeSelect,
+            this.elements.flashFreqSelect,
+            this.elements.resetModeSelect,
+            this.elements.compressCheckbox
+        ].forEach(el => el.addEventListener('change', () => this.onFlashSettingsChange()));
+
+        // Backup
+        this.elements.backupBtn.addEventListener('click', () => this.onBackup());
+        this.elements.restoreUpload.addEventListener('change', (e) => this.onRestoreFileSelected(e));
+        this.elements.restoreBtn.addEventListener('click', () => this.onRestore());
+
+        // Maintenance
+        this.elements.eraseRegionBtn.addEventListener('click', () => this.onErasePartition());
+        this.elements.factoryResetBtn.addEventListener('click', () => this.onFactoryReset());
+        this.elements.eraseFlashBtn.addEventListener('click', () => this.onEraseFlash());
+
+        // Filesystem image
+        this.elements.fsOpenBtn.addEventListener('click', () => this.onFsOpen());
+        this.elements.fsAddBtn.addEventListener('click', () => this.onFsAdd());
+        this.elements.fsRebuildBtn.addEventListener('click', () => this.onFsRebuild());
+        this.elements.fsReplaceInput.addEventListener('change', (e) => this.onFsReplace(e));
+
+        // NVS viewer
+        this.elements.nvsReadBtn.addEventListener('click', () => this.onReadNvs());
 
         // Flash
         this.elements.flashBtn.addEventListener('click', () => this.onFlash());
+        this.elements.cancelFlashBtn.addEventListener('click', () => this.onCancelFlash());
+        this.elements.resumeFlashBtn.addEventListener('click', () => this.onResumeFlash());
+        this.elements.verifyCheckbox.addEventListener('change', (e) => {
+            this.state.verifyAfterFlash = e.target.checked;
+        });
+        this.elements.preserveNvsCheckbox.addEventListener('change', (e) => {
+            this.state.preserveNvs = e.target.checked;
+        });
+        this.elements.diagnosticsBtn.addEventListener('click', () => this.onExportDiagnostics());
+        this.elements.exportMergedBtn.addEventListener('click', () => this.onExportMerged());
+
+        // Production batch
+        this.elements.batchStartBtn.addEventListener('click', () => this.onBatchStart());
+        this.elements.batchAddBtn.addEventListener('click', () => this.onBatchAddDevice());
+        this.elements.batchStopBtn.addEventListener('click', () => this.onBatchStop());
+        this.elements.batchExportBtn.addEventListener('click', () => this.onBatchExport());
+        this.elements.batchFlashIgnoredBtn.addEventListener('click', () => this.onBatchFlashIgnored());
+
+        // Advanced options
+        this.elements.advancedModeCheckbox.addEventListener('change', (e) => this.onAdvancedModeToggle(e));
+        this.elements.resetAllOffsetsBtn.addEventListener('click', () => this.onResetAllOffsets());
+
+        // Serial monitor
+        this.elements.monitorOpenBtn.addEventListener('click', () => this.onMonitorOpen());
+        this.elements.monitorCloseBtn.addEventListener('click', () => this.closeMonitor());
+        this.elements.monitorResetBtn.addEventListener('click', () => this.onMonitorReset());
+        this.elements.monitorTimestampsCheckbox.addEventListener('change', (e) => {
+            this.elements.monitorOutput.classList.toggle('show-timestamps', e.target.checked);
+        });
+        this.elements.monitorPauseCheckbox.addEventListener('change', () => this.renderMonitor());
+        this.elements.monitorSearch.addEventListener('input', () => this.renderMonitor());
+        this.elements.monitorSendBtn.addEventListener('click', () => this.onMonitorSend());
+        this.elements.monitorInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.onMonitorSend();
+            }
+        });
+        this.elements.monitorSaveBtn.addEventListener('click', () => this.onMonitorSave());
+        this.elements.monitorClearBtn.addEventListener('click', () => this.onMonitorClear());
+
+        // History
+        this.elements.historyFilter.addEventListener('input', () => this.renderHistory());
+        this.elements.historyExportBtn.addEventListener('click', () => this.onHistoryExport());
+        this.elements.historyClearBtn.addEventListener('click', () => this.onHistoryClear());
+    },
+
+    // Update UI based on state
+    updateUI() {
+        // Update connection buttons
+        this.elements.connectBtn.disabled = this.state.connected || this.state.batchRunning;
+        this.elements.disconnectBtn.disabled = !this.state.connected;
+
+        // Update flash button
+        this.elements.flashBtn.disabled = !this.state.connected ||
+                                           !this.state.firmwareFiles ||
+                                           this.state.flashing ||
+                                           this.state.busy;
+        this.elements.cancelFlashBtn.disabled = !this.state.flashing;
+        this.elements.exportMergedBtn.disabled = !this.state.firmwareFiles || this.state.flashing;
+        this.elements.resumeFlashBtn.disabled = this.state.flashing || this.state.busy || !Flasher.canResume();
+        this.elements.resumeFlashBtn.textContent = Flasher.canResume() ?
+            `Resume (${Flasher.session.files.length - Flasher.session.nextIndex} file(s) left)` :
+            'Resume';
+
+        // Update GitHub release controls
+        this.elements.loadReleasesBtn.disabled = this.state.downloading;
+        this.elements.releaseSelect.disabled = this.state.downloading || this.getVisibleReleases().length === 0;
+        this.elements.downloadReleaseBtn.disabled = this.state.downloading ||
+                                                     !this.getSelectedRelease() ||
+                                                     this.state.flashing;
+
+        // Update backup and restore controls
+        const deviceIdle = this.state.connected && !this.state.flashing && !this.state.busy;
+        this.elements.backupBtn.disabled = !deviceIdle;
+        this.elements.backupRegion.disabled = !deviceIdle;
+        this.elements.restoreBtn.disabled = !deviceIdle || !this.state.restoreFile;
+
+        // Update maintenance controls
+        const hasPartitions = (this.state.devicePartitions || []).length > 0;
+        this.elements.eraseRegion.disabled = !deviceIdle || !hasPartitions;
+        this.elements.eraseRegionBtn.disabled = !deviceIdle || !hasPartitions;
+        this.elements.factoryResetBtn.disabled = !deviceIdle ||
+            FileHandler.findFactoryResetPartitions(this.state.devicePartitions || []).length === 0;
+        this.elements.eraseFlashBtn.disabled = !deviceIdle;
+        this.elements.nvsReadBtn.disabled = !deviceIdle || !this.findNvsPartition();
+
+        // Update filesystem image controls
+        this.elements.fsOpenBtn.disabled = this.state.flashing || !this.findFilesystemImage();
+        this.elements.fsRebuildBtn.disabled = this.state.flashing || !this.state.fsImage || !this.state.fsImage.modified;
+
+        // Update production batch controls
+        this.elements.batchStartBtn.disabled = this.state.batchRunning ||
+                                               !this.state.firmwareFiles ||
+                                               this.state.connected ||
+                                               this.state.flashing ||
+                                               this.state.busy;
+        this.elements.batchAddBtn.disabled = !this.state.batchRunning;
+        this.elements.batchStopBtn.disabled = !this.state.batchRunning;
+        this.elements.batchExportBtn.disabled = Batch.results.length === 0;
+
+        // Update serial monitor controls
+        this.elements.monitorOpenBtn.disabled = this.state.monitorOpen || this.state.flashing || this.state.busy || this.state.batchRunning;
+        this.elements.monitorCloseBtn.disabled = !this.state.monitorOpen;
+        this.elements.monitorResetBtn.disabled = !this.state.monitorOpen;
+        this.elements.monitorInput.disabled = !this.state.monitorOpen;
+        this.elements.monitorSendBtn.disabled = !this.state.monitorOpen;
+    },
+
+    // Handle firmware source switch
+    onSourceChange(e) {
+        this.state.firmwareSource = e.target.value;
+        this.elements.uploadSource.classList.toggle('hidden', this.state.firmwareSource !== 'upload');
+        this.elements.githubSource.classList.toggle('hidden', this.state.firmwareSource !== 'github');
+        this.elements.recentSource.classList.toggle('hidden', this.state.firmwareSource !== 'recent');
+
+        if (this.state.firmwareSource === 'recent') {
+            this.renderRecentFirmware();
+        }
+    },
+
+    // Handle loading releases from GitHub
+    async onLoadReleases() {
+        try {
+            const { owner, repo } = GitHub.parseRepo(this.elements.githubRepo.value);
+
+            this.state.downloading = true;
+            this.updateUI();
+            this.showConsole();
+            this.log(`Fetching releases from ${owner}/${repo}...`, 'info');
+
+            try {
+                this.state.releases = await GitHub.fetchReleases(owner, repo);
+                this.state.releaseSource = 'github';
+            } catch (error) {
+                // Without GitHub access, fall back to the release list of a configured mirror
+                if (!DownloadSources.getSources().some(source => source.type === 'mirror')) {
+                    throw error;
+                }
+                this.log(`${error.message} Loading releases from mirror instead...`, 'warning');
+                this.state.releases = await DownloadSources.fetchMirrorReleases();
+                this.state.releaseSource = 'mirror';
+            }
+            this.state.releaseRepo = { owner, repo };
+
+            this.log(`Found ${this.state.releases.length} release(s)`, 'success');
+        } catch (error) {
+            this.state.releases = [];
+            this.state.releaseRepo = null;
+            this.log(error.message, 'error');
+        } finally {
+            this.state.downloading = false;
+            this.renderReleases();
+        }
+    },
+
+    // Handle saving the download source list
+    onSaveDownloadSources() {
+        try {
+            const sources = DownloadSources.parseSourceList(this.elements.downloadSources.value);
+            DownloadSources.saveSources(sources);
+            this.elements.downloadSources.value = DownloadSources.formatSourceList(sources);
+            this.showConsole();
+            this.log(`Saved ${sources.length} download source(s)`, 'success');
+        } catch (error) {
+            this.showConsole();
+            this.log(`Invalid download sources: ${error.message}`, 'error');
+        }
+    },
+
+    // Releases visible with the current pre-release setting
+    getVisibleReleases() {
+        const includePrereleases = this.elements.prereleaseCheckbox.checked;
+        return this.state.releases.filter(release =>
+            !release.draft && (includePrereleases || !release.prerelease)
+        );
+    },
+
+    // Release currently picked in the release list (ids are numbers on GitHub, strings on a mirror)
+    getSelectedRelease() {
+        const id = this.elements.releaseSelect.value;
+        return this.getVisibleReleases().find(release => String(release.id) === id) || null;
+    },
+
+    // Render the release list
+    renderReleases() {
+        const select = this.elements.releaseSelect;
+        const releases = this.getVisibleReleases();
+        select.innerHTML = '';
+
+        if (releases.length === 0) {
+            const option = document.createElement('option');
+            option.textContent = this.state.releases.length > 0 ?
+                'No stable releases (enable pre-releases)' :
+                'Load releases first';
+            select.appendChild(option);
+        }
+
+        releases.forEach(release => {
+            const option = document.createElement('option');
+            option.value = release.id;
+            const date = new Date(release.published_at || release.created_at).toLocaleDateString();
+            const title = release.name && release.name !== release.tag_name ? ` - ${release.name}` : '';
+            option.textContent = `${release.tag_name}${title} (${date})${release.prerelease ? ' [pre-release]' : ''}`;
+            select.appendChild(option);
+        });
+
+        this.renderReleaseNotes();
+        this.updateUI();
+    },
+
+    // Render notes of the selected release
+    renderReleaseNotes() {
+        const notes = this.elements.releaseNotes;
+        const release = this.getSelectedRelease();
+
+        if (!release) {
+            notes.classList.add('hidden');
+            notes.innerHTML = '';
+            this.updateUI();
+            return;
+        }
+
+        if (this.state.releaseSource === 'github') {
+            // body_html is rendered and sanitized by the GitHub API
+            notes.innerHTML = release.body_html || '<p class="no-files-message">No release notes.</p>';
+        } else {
+            // Nothing sanitizes a mirror's index.json, so its notes are shown as text
+            notes.textContent = this.getPlainReleaseNotes(release) || 'No release notes.';
+        }
+        notes.classList.toggle('plain', this.state.releaseSource !== 'github');
+        notes.classList.remove('hidden');
+        this.updateUI();
+    },
+
+    // Text of a release's notes, from body or from body_html parsed without running it
+    getPlainReleaseNotes(release) {
+        if (release.body) {
+            return String(release.body).trim();
+        }
+        if (release.body_html) {
+            // A DOMParser document is inert: no scripts run and nothing is loaded
+            const doc = new DOMParser().parseFromString(String(release.body_html), 'text/html');
+            doc.querySelectorAll('script, style').forEach(element => element.remove());
+            return doc.body.textContent.trim();
+        }
+        return '';
+    },
+
+    // Handle download of the selected release
+    async onDownloadRelease() {
+        const release = this.getSelectedRelease();
+        if (!release || !this.state.releaseRepo) {
+            return;
+        }
+
+        try {
+            this.state.downloading = true;
+            this.updateUI();
+            this.showConsole();
+            this.showProgress();
+
+            const { owner, repo } = this.state.releaseRepo;
+            this.log(`Downloading firmware for ${owner}/${repo} ${release.tag_name}...`, 'info');
+
+            // Mirror releases carry their assets, GitHub ones are fetched fresh
+            const assets = release.assets && release.assets.length > 0 ?
+                release.assets :
+                await GitHub.fetchReleaseAssets(owner, repo, release.id);
+            const asset = GitHub.selectFirmwareAsset(assets);
+            const data = await GitHub.downloadFirmwareZip(assets, (loaded, total) => {
+                this.updateProgress((loaded / total) * 100, { label: `Downloading ${release.tag_name}` });
+            }, {
+                tag: release.tag_name,
+                log: (message, type) => this.log(message, type)
+            });
+
+            this.updateProgress(100);
+            this.log(`Downloaded ${this.formatSize(data.byteLength)}`, 'success');
+
+            await this.loadFirmwareZip(data, {
+                name: asset.name,
+                source: this.state.releaseSource,
+                repo: `${owner}/${repo}`,
+                tag: release.tag_name
+            });
+        } catch (error) {
+            this.log(error.message, 'error');
+        } finally {
+            this.state.downloading = false;
+            this.updateUI();
+        }
+    },
+
+    // Store a loaded firmware zip in the offline cache
+    async cacheFirmware(source, meta) {
+        try {
+            const data = source instanceof ArrayBuffer ? source : await FileHandler.getBinaryBuffer(source);
+            const version = this.state.newFirmware ? this.state.newFirmware.version : null;
+            await FirmwareCache.add(data, { ...meta, version });
+            this.log(`Saved ${meta.name} to recent firmware`, 'info');
+        } catch (error) {
+            this.log(`Could not cache firmware: ${error.message}`, 'warning');
+        }
+        await this.renderRecentFirmware();
+    },
+
+    // Render the list of cached firmware
+    async renderRecentFirmware() {
+        const container = this.elements.recentFirmwareList;
+
+        let entries;
+        try {
+            entries = await FirmwareCache.list();
+        } catch (error) {
+            container.innerHTML = `<div class="no-files-message">Firmware cache unavailable: ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="no-files-message">No cached firmware yet. Uploaded and downloaded firmware is kept here.</div>';
+            return;
+        }
+
+        let tableHTML = `
+            <table class="offset-table">
+                <thead>
+                    <tr>
+                        <th>Firmware</th>
+                        <th>Source</th>
+                        <th>Size</th>
+                        <th>Added</th>
+                        <th>Action</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        for (const entry of entries) {
+            const origin = entry.tag ? `${entry.source} ${entry.repo}@${entry.tag}` : entry.source;
+            const version = entry.version ? `<div class="file-size">${this.escapeHtml(entry.version)}</div>` : '';
+            tableHTML += `
+                <tr>
+                    <td>${this.escapeHtml(entry.name)}${version}</td>
+                    <td>${this.escapeHtml(origin)}</td>
+                    <td>${this.formatSize(entry.size)}</td>
+                    <td>${new Date(entry.date).toLocaleString()}</td>
+                    <td class="cache-actions">
+                        <button class="button secondary" data-action="use" data-key="${this.escapeHtml(entry.key)}">Use</button>
+                        <button class="button secondary" data-action="export" data-key="${this.escapeHtml(entry.key)}">Export</button>
+                        <button class="button secondary" data-action="remove" data-key="${this.escapeHtml(entry.key)}">Remove</button>
+                    </td>
+                </tr>
+            `;
+        }
+
+        tableHTML += `
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = tableHTML;
+
+        container.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.onCachedFirmwareAction(e));
+        });
+    },
+
+    // Handle use/export/remove of a cached firmware
+    async onCachedFirmwareAction(e) {
+        const { action, key } = e.target.dataset;
+        this.showConsole();
+
+        try {
+            if (action === 'use') {
+                const entry = await FirmwareCache.get(key);
+                this.log(`Loading ${entry.name} from recent firmware...`, 'info');
+                await this.loadFirmwareZip(entry.data, null, {
+                    name: entry.name,
+                    source: `recent (${entry.source})`,
+                    repo: entry.repo,
+                    tag: entry.tag
+                });
+            } else if (action === 'export') {
+                const { filename, blob } = await FirmwareCache.export(key);
+                this.downloadFile(blob, filename);
+            } else if (action === 'remove') {
+                await FirmwareCache.remove(key);
+                this.log('Removed firmware from cache', 'info');
+            }
+        } catch (error) {
+            this.log(error.message, 'error');
+        }
+
+        await this.renderRecentFirmware();
+    },
+
+    // Handle clearing the firmware cache
+    async onClearFirmwareCache() {
+        if (!confirm('Remove all cached firmware from this browser?')) {
+            return;
+        }
+
+        try {
+            await FirmwareCache.clear();
+            this.showConsole();
+            this.log('Firmware cache cleared', 'info');
+        } catch (error) {
+            this.log(error.message, 'error');
+        }
+        await this.renderRecentFirmware();
+    },
+
+    // Escape text for use in HTML
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    // Handle zip upload
+    async onZipUpload(e) {
+        const files = Array.from(e.target.files);
+        if (files.length === 0) {
+            this.state.firmwareFiles = null;
+            this.state.partitions = null;
+            this.state.manifest = null;
+            this.state.firmwareOrigin = null;
+            this.state.newFirmware = null;
+            this.state.fsImage = null;
+            this.renderFsBrowser();
+            this.renderVersionInfo();
+            this.updateUI();
+            return;
+        }
+
+        await this.loadFirmwareFiles(files);
+    },
+
+    // Handle firmware files dropped onto the upload area
+    async onFirmwareDrop(e) {
+        e.preventDefault();
+        this.elements.dropZone.classList.remove('dragover');
+
+        const files = Array.from(e.dataTransfer.files);
+        if (files.length > 0) {
+            await this.loadFirmwareFiles(files);
+        }
+    },
+
+    // Load one firmware zip, or loose .bin files packed into a zip so they take the same path
+    async loadFirmwareFiles(files) {
+        this.showConsole();
+        if (files.length === 1 && files[0].name.toLowerCase().endsWith('.zip')) {
+            await this.loadFirmwareZip(files[0], { name: files[0].name, source: 'upload' });
+            return;
+        }
+
+        try {
+            const zip = await FileHandler.createZipFromFiles(files);
+            await this.loadFirmwareZip(zip, { name: files.map(file => file.name).join(', '), source: 'upload' });
+        } catch (error) {
+            this.log(error.message, 'error');
+        }
+    },
+
+    // Extract, validate and load a firmware zip (File or ArrayBuffer), caching it if cacheMeta is given
+    async loadFirmwareZip(source, cacheMeta = null, origin = cacheMeta) {
+        try {
+            this.log('Extracting firmware files...', 'info');
+
+            const extracted = await FileHandler.extractZipFile(source);
+            const manifest = extracted.manifest;
+            let files;
+            if (manifest) {
+                // The manifest maps every file, so a merged image in it is flashed as listed
+                const applied = await FileHandler.applyManifest(manifest, extracted.files, this.UPDATER_VERSION);
+                if (!applied.isValid) {
+                    throw new Error(applied.message);
+                }
+                files = applied.files;
+                this.log(`Firmware package: ${applied.message}`, 'info');
+                applied.warnings.forEach(warning => this.log(warning, 'warning'));
+            } else {
+                // A merged factory image is split into its parts, so offsets come from its partition table
+                const expanded = FileHandler.expandMergedImages(extracted.files);
+                files = expanded.files;
+                expanded.messages.forEach(message => this.log(message, 'info'));
+                expanded.warnings.forEach(warning => this.log(warning, 'warning'));
+            }
+            const validation = FileHandler.validateFirmwareFiles(files, manifest);
+
+            if (!validation.isValid) {
+                throw new Error(validation.message);
+            }
+
+            const inspection = await FileHandler.inspectFirmwareImages(files, this.state.deviceInfo, manifest);
+            if (!inspection.isValid) {
+                throw new Error(inspection.message);
+            }
+
+            this.state.firmwareFiles = files;
+            this.state.partitions = validation.partitions;
+            this.state.manifest = manifest;
+            this.state.firmwareOrigin = origin;
+            // An interrupted flash of other firmware must not be resumed
+            Flasher.clearSession();
+            this.state.fsImage = null;
+            this.renderFsBrowser();
+            this.state.newFirmware = this.findAppDescription(inspection.images);
+            this.log(validation.message, 'success');
+            validation.warnings.forEach(warning => this.log(warning, 'warning'));
+            this.logImageInfo(inspection.images);
+            if (manifest && manifest.releaseNotes) {
+                this.log('Release notes:', 'info');
+                manifest.releaseNotes.split(/\r?\n/).filter(line => line.trim()).forEach(line => this.log(line, 'info'));
+            }
+            this.logPartitionTable();
+            this.logFlashPlan();
+            this.renderVersionInfo();
+            this.updateUI();
+
+            if (cacheMeta) {
+                await this.cacheFirmware(source, cacheMeta);
+            }
+
+            // Re-render offset table if advanced mode is active
+            if (this.state.advancedMode) {
+                this.renderOffsetTable();
+            }
+        } catch (error) {
+            this.log(error.message, 'error');
+            this.recordError('load firmware', error);
+            this.state.firmwareFiles = null;
+            this.state.partitions = null;
+            this.state.manifest = null;
+            this.state.firmwareOrigin = null;
+            this.state.newFirmware = null;
+            this.state.fsImage = null;
+            this.renderFsBrowser();
+            this.renderVersionInfo();
+            this.updateUI();
+        }
+    },
+
+    // Log header details of inspected firmware images
+    logImageInfo(images) {
+        for (const [filename, info] of Object.entries(images)) {
+            const hash = info.hashValid ? 'SHA-256 verified' : 'no SHA-256 appended';
+            this.log(`${filename}: ${info.chipName} image, ${info.segmentCount} segment(s), ${info.flashMode}/${info.flashFreq}/${info.flashSize}, ${hash}`, 'info');
+            if (info.appDescription) {
+                this.log(`${filename}: ${this.formatAppDescription(info.appDescription)}`, 'info');
+            }
+        }
+    },
+
+    // Find the app description among inspected images
+    findAppDescription(images) {
+        const image = Object.values(images).find(info => info.appDescription);
+        return image ? image.appDescription : null;
+    },
+
+    // Format an app description for display
+    formatAppDescription(desc) {
+        return `${desc.projectName} ${desc.version} (built ${desc.date} ${desc.time}, IDF ${desc.idfVersion})`;
+    },
+
+    // Compare installed and new firmware versions
+    compareFirmwareVersions() {
+        const installed = this.state.installedFirmware;
+        const incoming = this.state.newFirmware;
+        if (!installed || !incoming) {
+            return null;
+        }
+
+        // An all-zero ELF hash means the build did not record one
+        if (installed.elfSha256 === incoming.elfSha256 && /[^0]/.test(incoming.elfSha256)) {
+            return { type: 'identical', message: `The device already runs this exact build (${incoming.version})` };
+        }
+        if (installed.projectName !== incoming.projectName) {
+            return { type: 'different', message: `The device runs a different project (${installed.projectName}), new firmware is ${incoming.projectName}` };
+        }
+
+        const diff = EspImage.compareVersions(incoming.version, installed.version);
+        if (diff === 0) {
+            return { type: 'identical', message: `The device already runs version ${installed.version}` };
+        }
+        if (diff !== null && diff < 0) {
+            return { type: 'downgrade', message: `This is a downgrade from ${installed.version} to ${incoming.version}` };
+        }
+        if (diff !== null) {
+            return { type: 'upgrade', message: `Upgrade from ${installed.version} to ${incoming.version}` };
+        }
+        return { type: 'unknown', message: `Cannot compare versions ${installed.version} and ${incoming.version}` };
+    },
+
+    // Render installed vs. new firmware in the device panel
+    renderVersionInfo() {
+        const installed = this.state.installedFirmware;
+        const incoming = this.state.newFirmware;
+        this.elements.installedVersion.textContent = installed ? this.formatAppDescription(installed) : '-';
+        this.elements.newVersion.textContent = incoming ? this.formatAppDescription(incoming) : '-';
+
+        const comparison = this.compareFirmwareVersions();
+        const notice = this.elements.versionNotice;
+        if (!comparison) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        notice.textContent = comparison.message;
+        notice.className = `version-notice ${comparison.type === 'upgrade' ? 'success' : 'warning'}`;
+    },
+
+    // Log entries of the bundled partition table
+    logPartitionTable() {
+        if (!this.state.partitions) {
+            return;
+        }
+
+        this.log(`Partition table (${this.state.partitions.length} entries):`, 'info');
+        this.state.partitions.forEach(p => {
+            this.log(`  - ${p.label}: ${p.typeName}/${p.subtypeName} @ 0x${p.offset.toString(16).toUpperCase()}, ${this.formatSize(p.size)}`, 'info');
+        });
+    },
+
+    // Format a byte count for display
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024 && bytes % (1024 * 1024) === 0) {
+            return `${bytes / (1024 * 1024)} MB`;
+        }
+        if (bytes >= 1024) {
+            return `${(bytes / 1024).toFixed(bytes % 1024 === 0 ? 0 : 1)} KB`;
+        }
+        return `${bytes} B`;
+    },
+
+    // Describe the detected flash chip
+    formatFlashInfo(deviceInfo) {
+        if (!deviceInfo.flashSize) {
+            return 'Unknown';
+        }
+        const manufacturerId = deviceInfo.flashManufacturerId.toString(16).toUpperCase().padStart(2, '0');
+        const deviceId = deviceInfo.flashDeviceId.toString(16).toUpperCase().padStart(4, '0');
+        return `${this.formatSize(deviceInfo.flashSize)} (${deviceInfo.flashManufacturer} 0x${manufacturerId}, device 0x${deviceId})`;
+    },
+
+    // Flash size to check offsets against
+    getFlashSizeLimit() {
+        return (this.state.deviceInfo && this.state.deviceInfo.flashSize) || this.DEFAULT_FLASH_SIZE;
+    },
+
+    // Prepare the files to flash, with custom offsets in advanced mode
+    prepareFlashPlan() {
+        if (this.state.advancedMode && Object.keys(this.state.customOffsets).length > 0) {
+            return FileHandler.prepareFirmwareFilesWithCustomOffsets(this.state.firmwareFiles, this.state.customOffsets, this.state.manifest);
+        }
+        return FileHandler.prepareFirmwareFiles(this.state.firmwareFiles, this.state.manifest);
+    },
+
+    // Validate the flash plan against the flash size and the partition table
+    validateFlashPlan(preparedFiles = this.prepareFlashPlan()) {
+        return FileHandler.validateFlashPlan(preparedFiles, this.getFlashSizeLimit(), this.state.partitions);
+    },
+
+    // Log overlapping, misaligned and oversized files of the flash plan
+    logFlashPlan() {
+        const plan = this.validateFlashPlan();
+        plan.errors.forEach(error => this.log(error, 'error'));
+        plan.warnings.forEach(warning => this.log(warning, 'warning'));
+    },
+
+    // Handle device connection
+    async onConnect() {
+        try {
+            // The bootloader connection needs the port the monitor holds
+            if (this.state.monitorOpen) {
+                await this.closeMonitor();
+            }
+
+            FlashHistory.begin('connect', { settings: Flasher.getSettings() });
+            this.log('Connecting to device...', 'info');
+            this.clearConsole();
+            this.showConsole();
+
+            const deviceInfo = await Flasher.connectDevice((message, type) => this.log(message, type));
+
+            this.state.connected = true;
+            this.state.deviceInfo = deviceInfo;
+
+            // Update device info display
+            this.elements.chipType.textContent = deviceInfo.type;
+            this.elements.macAddress.textContent = deviceInfo.macAddress;
+            this.elements.flashSize.textContent = this.formatFlashInfo(deviceInfo);
+            this.elements.deviceInfo.classList.remove('hidden');
+
+            this.log(`Connected to ${deviceInfo.type}`, 'success');
+            this.log(`MAC Address: ${deviceInfo.macAddress}`, 'info');
+            if (deviceInfo.flashSize) {
+                this.log(`Flash: ${this.formatFlashInfo(deviceInfo)}`, 'info');
+            } else {
+                this.log(`Could not detect flash size, assuming ${this.formatSize(this.DEFAULT_FLASH_SIZE)}`, 'warning');
+            }
+
+            await this.readDeviceFirmware();
+
+            // Check already loaded firmware against the detected chip and flash size
+            if (this.state.firmwareFiles) {
+                const inspection = await FileHandler.inspectFirmwareImages(this.state.firmwareFiles, deviceInfo, this.state.manifest);
+                this.log(inspection.message, inspection.isValid ? 'success' : 'error');
+                this.logFlashPlan();
+            }
+
+            this.updateUI();
+            await this.finishHistory('success', {
+                ...this.getHistoryDevice(),
+                installedFirmware: this.state.installedFirmware
+            });
+        } catch (error) {
+            this.log(error.message, 'error');
+            this.recordError('connect', error);
+            this.state.connected = false;
+            this.updateUI();
+            await this.finishHistory('failed', { error: error.message });
+        }
+    },
+
+    // Read the partition table and the firmware currently on the device
+    async readDeviceFirmware() {
+        this.state.devicePartitions = null;
+        try {
+            this.state.devicePartitions = await Flasher.readPartitionTable();
+            const installed = await Flasher.readInstalledFirmware(this.state.devicePartitions);
+            this.state.installedFirmware = installed.description;
+            if (installed.description) {
+                this.log(`Installed firmware (${installed.partition.label}): ${this.formatAppDescription(installed.description)}`, 'info');
+            } else {
+                this.log(`No app description found in partition ${installed.partition.label}`, 'warning');
+            }
+        } catch (error) {
+            this.state.installedFirmware = null;
+            this.log(`Could not read installed firmware version: ${error.message}`, 'warning');
+        }
+        this.renderVersionInfo();
+        this.renderBackupRegions();
+        this.renderEraseRegions();
+        this.renderFlashMap();
+        this.elements.nvsOutput.innerHTML = '';
+    },
+
+    // Fill the connection and flash settings from storage
+    renderFlashSettings() {
+        const fillSelect = (select, values, format = (value) => value) => {
+            select.innerHTML = '';
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = format(value);
+                select.appendChild(option);
+            });
+        };
+
+        const settings = Flasher.getSettings();
+        fillSelect(this.elements.baudRateSelect, Flasher.BAUD_RATES, (rate) => `${rate} baud`);
+        fillSelect(this.elements.flashModeSelect, Flasher.FLASH_MODES, (mode) => mode === 'keep' ? 'Keep (from image)' : mode.toUpperCase());
+        fillSelect(this.elements.flashFreqSelect, Flasher.FLASH_FREQS, (freq) => freq === 'keep' ? 'Keep (from image)' : `${parseInt(freq, 10)} MHz`);
+
+        this.elements.baudRateSelect.value = settings.baudRate;
+        this.elements.flashModeSelect.value = settings.flashMode;
+        this.elements.flashFreqSelect.value = settings.flashFreq;
+        this.elements.resetModeSelect.value = settings.resetMode;
+        this.elements.compressCheckbox.checked = settings.compress;
+    },
+
+    // Handle a change of the connection and flash settings
+    onFlashSettingsChange() {
+        const settings = {
+            baudRate: Number(this.elements.baudRateSelect.value),
+            flashMode: this.elements.flashModeSelect.value,
+            flashFreq: this.elements.flashFreqSelect.value,
+            compress: this.elements.compressCheckbox.checked,
+            resetMode: this.elements.resetModeSelect.value
+        };
+        Flasher.saveSettings(settings);
+        this.showConsole();
+        this.log(`Saved settings: ${settings.baudRate} baud, ${Flasher.describeSettings(settings)}`, 'info');
+    },
+
+    // Handle device disconnection
+    async onDisconnect() {
+        try {
+            this.log('Disconnecting...', 'info');
+            await Flasher.disconnectDevice();
+            this.resetDeviceState();
+
+            this.log('Disconnected', 'success');
+        } catch (error) {
+            this.log(error.message, 'error');
+        }
+    },
+
+    // Forget the disconnected device
+    resetDeviceState() {
+        this.state.connected = false;
+        this.state.deviceInfo = null;
+        this.state.installedFirmware = null;
+        this.state.devicePartitions = null;
+        this.elements.deviceInfo.classList.add('hidden');
+        this.renderVersionInfo();
+        this.renderBackupRegions();
+        this.renderEraseRegions();
+        this.renderFlashMap();
+        this.elements.nvsOutput.innerHTML = '';
+        this.updateUI();
+    },
+
+    // Handle flash operation
+    async onFlash() {
+        if (!this.state.firmwareFiles) {
+            this.log('No firmware files loaded', 'error');
+            return;
+        }
+
+        if (!this.state.connected) {
+            this.log('Device not connected', 'error');
+            return;
+        }
+
+        // Refuse overlapping, misaligned or oversized files before anything is written
+        const plan = this.validateFlashPlan();
+        if (!plan.isValid) {
+            plan.errors.forEach(error => this.log(error, 'error'));
+            this.log('Flash plan rejected, fix the offsets above', 'error');
+            return;
+        }
+        plan.warnings.forEach(warning => this.log(warning, 'warning'));
+
+        // Refuse images built for another chip or with a broken checksum/hash
+        const inspection = await FileHandler.inspectFirmwareImages(this.state.firmwareFiles, this.state.deviceInfo, this.state.manifest);
+        if (!inspection.isValid) {
+            this.log(`Firmware rejected: ${inspection.message}`, 'error');
+            return;
+        }
+
+        // Ask before downgrading or reflashing the same version
+        const comparison = this.compareFirmwareVersions();
+        if (comparison && ['downgrade', 'identical', 'different'].includes(comparison.type)) {
+            this.log(comparison.message, 'warning');
+            if (!confirm(`${comparison.message}.\n\nFlash anyway?`)) {
+                this.log('Flashing cancelled', 'info');
+                return;
+            }
+        }
+
+        this.clearConsole();
+        this.log('Preparing firmware files...', 'info');
+
+        // Prepare files for flashing (with or without custom offsets)
+        const preparedFiles = this.prepareFlashPlan();
+        if (this.state.advancedMode && Object.keys(this.state.customOffsets).length > 0) {
+            this.log('Using custom flash offsets', 'info');
+        }
+
+        this.log(`Prepared ${preparedFiles.length} file(s) for flashing`, 'info');
+
+        await this.runFlash(preparedFiles, {
+            preserveNvs: this.state.preserveNvs,
+            partitions: this.state.partitions
+        });
+    },
+
+    // Continue an interrupted flash with the file that failed
+    async onResumeFlash() {
+        if (!Flasher.canResume()) {
+            this.log('Nothing to resume on this device', 'error');
+            return;
+        }
+
+        await this.runFlash(null, { resume: true });
+    },
+
+    // Stop flashing after the block being written
+    onCancelFlash() {
+        Flasher.requestCancel();
+        this.elements.cancelFlashBtn.disabled = true;
+        this.log('Cancelling after the current block...', 'warning');
+    },
+
+    // Read the options shared by flashing and restoring
+    getFlashOptions() {
+        const attempts = parseInt(this.elements.flashAttempts.value, 10);
+        return {
+            verify: this.state.verifyAfterFlash,
+            attempts: attempts >= 1 ? attempts : Flasher.DEFAULT_ATTEMPTS
+        };
+    },
+
+    // Write a flash plan (or resume the interrupted one) and report the outcome
+    async runFlash(preparedFiles, options) {
+        FlashHistory.begin(options.resume ? 'resume' : 'flash', {
+            ...this.getHistoryDevice(),
+            firmware: this.describeFirmware(),
+            plan: preparedFiles || Flasher.session.files,
+            settings: this.getHistorySettings({ preserveNvs: Boolean(options.preserveNvs) })
+        });
+
+        let flashed = false;
+        try {
+            this.state.flashing = true;
+            this.updateUI();
+            this.showConsole();
+            this.showProgress();
+
+            await Flasher.flashFirmware(
+                preparedFiles,
+                (progress, info) => this.updateProgress(progress, info),
+                (message, type) => this.log(message, type),
+                { ...this.getFlashOptions(), ...options }
+            );
+
+            this.log('Flashing completed successfully!', 'success');
+            flashed = true;
+            await this.finishHistory('success');
+        } catch (error) {
+            // Flasher already logged the cancellation and where to resume
+            if (!error.cancelled) {
+                this.log(`Flashing failed: ${error.message}`, 'error');
+                this.recordError('flash', error);
+            }
+            if (Flasher.canResume()) {
+                this.log('Use Resume to continue with the remaining files', 'info');
+            }
+            await this.finishHistory(error.cancelled ? 'cancelled' : 'failed', { error: error.message });
+        } finally {
+            this.state.flashing = false;
+            this.updateUI();
+        }
+
+        // Catch the boot log of the new firmware
+        if (flashed && this.elements.monitorAfterFlashCheckbox.checked) {
+            await this.onMonitorOpen();
+        }
+    },
+
+    // Start flashing every unit that is plugged in with the loaded plan
+    async onBatchStart() {
+        if (!this.state.firmwareFiles || this.state.connected) {
+            return;
+        }
+
+        // Refuse a broken plan once instead of failing every unit
+        const plan = this.validateFlashPlan();
+        if (!plan.isValid) {
+            this.showConsole();
+            plan.errors.forEach(error => this.log(error, 'error'));
+            this.log('Flash plan rejected, fix the offsets above', 'error');
+            return;
+        }
+
+        // Units are connected through the ports the monitor may hold
+        if (this.state.monitorOpen) {
+            await this.closeMonitor();
+        }
+
+        const description = this.state.newFirmware;
+        try {
+            Batch.start({
+                files: this.prepareFlashPlan(),
+                firmwareFiles: this.state.firmwareFiles,
+                manifest: this.state.manifest,
+                firmwareVersion: description ? `${description.projectName} ${description.version}` : 'unknown',
+                erase: this.elements.batchEraseCheckbox.checked,
+                attempts: this.getFlashOptions().attempts
+            }, {
+                log: (message, type) => this.log(message, type),
+                progress: (progress, info) => this.updateProgress(progress, info),
+                unitStarted: (unit) => {
+                    FlashHistory.begin('batch', {
+                        firmware: this.describeFirmware(),
+                        plan: Batch.plan.files,
+                        settings: {
+                            ...Flasher.getSettings(),
+                            verify: true,
+                            attempts: Batch.plan.attempts,
+                            erase: Batch.plan.erase
+                        }
+                    });
+                    this.state.flashing = true;
+                    this.showProgress();
+                    this.log(`Unit ${unit}: connecting...`, 'info');
+                    this.updateUI();
+                },
+                unitFinished: (result) => {
+                    let outcome = result.passed ? 'success' : 'failed';
+                    if (result.skipped) {
+                        outcome = 'skipped';
+                    }
+                    this.finishHistory(outcome, {
+                        macAddress: result.macAddress || null,
+                        chip: result.chip || null,
+                        error: result.error || null
+                    });
+                    this.renderBatchResults();
+                },
+                idle: () => {
+                    this.state.flashing = false;
+                    // A batch stopped during a unit is summarized once that unit is done
+                    if (!this.state.batchRunning) {
+                        this.logBatchSummary();
+                    }
+                    this.renderBatchResults();
+                    this.updateUI();
+                },
+                ignoredChanged: () => this.renderBatchResults()
+            });
+        } catch (error) {
+            this.showConsole();
+            this.log(error.message, 'error');
+            return;
+        }
+
+        this.state.batchRunning = true;
+        this.clearConsole();
+        this.showConsole();
+        plan.warnings.forEach(warning => this.log(warning, 'warning'));
+        this.log('Batch started, plug in the first unit', 'info');
+        this.renderBatchResults();
+        this.updateUI();
+
+        // Units that are already plugged in do not raise a connect event
+        const ports = await navigator.serial.getPorts();
+        ports.forEach(port => Batch.enqueue(port));
+    },
+
+    // Grant access to a USB adapter that has not been used before
+    async onBatchAddDevice() {
+        try {
+            Batch.enqueue(await navigator.serial.requestPort());
+        } catch (error) {
+            // Closing the port chooser is not an error
+            if (error.name !== 'NotFoundError') {
+                this.log(`Could not add device: ${error.message}`, 'error');
+            }
+        }
+    },
+
+    // Flash a unit the batch took for the last unit reappearing after its reset
+    onBatchFlashIgnored() {
+        Batch.flashIgnored();
+        this.renderBatchResults();
+    },
+
+    // Stop waiting for units, the one being flashed is finished first
+    onBatchStop() {
+        Batch.stop();
+        this.state.batchRunning = false;
+
+        if (Batch.processing) {
+            this.log('Batch stopped, finishing the current unit...', 'warning');
+        } else {
+            this.logBatchSummary();
+        }
+        this.renderBatchResults();
+        this.updateUI();
+    },
+
+    // Log how many units of the batch passed
+    logBatchSummary() {
+        const summary = Batch.getSummary();
+        this.log(`Batch finished: ${summary.passed} passed, ${summary.failed} failed`, summary.failed > 0 ? 'warning' : 'success');
+    },
+
+    // Download the results of the batch as CSV
+    onBatchExport() {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        this.downloadFile(Batch.toCsv(), `hds-batch_${stamp}.csv`, 'text/csv');
+    },
+
+    // Render the batch summary and the result of every unit, latest first
+    renderBatchResults() {
+        const summary = Batch.getSummary();
+        const waiting = this.state.batchRunning && !Batch.processing ? ', waiting for the next unit' : '';
+        this.elements.batchStatus.textContent = summary.total > 0 || this.state.batchRunning ?
+            `${summary.total} unit(s): ${summary.passed} passed, ${summary.failed} failed${waiting}` :
+            '';
+
+        const ignored = Batch.ignoredPorts.length;
+        this.elements.batchIgnored.classList.toggle('hidden', ignored === 0);
+        this.elements.batchIgnoredText.textContent = `${ignored} native USB unit(s) plugged in right after a reset were not flashed, as they are most likely the last unit restarting. Flash them if they are new units.`;
+
+        if (summary.total === 0) {
+            this.elements.batchResults.innerHTML = '';
+            return;
+        }
+
+        const rows = [...Batch.results].reverse().map(result => `
+            <tr class="${result.passed ? '' : 'batch-failed'}">
+                <td>${result.unit}</td>
+                <td>${result.started.toLocaleTimeString()}</td>
+                <td>${this.escapeHtml(result.macAddress || '-')}</td>
+                <td>${this.escapeHtml(result.chip || '-')}</td>
+                <td>${this.escapeHtml(result.firmwareVersion)}</td>
+                <td>${result.duration.toFixed(1)}s</td>
+                <td>${result.passed ? 'PASS' : `FAIL: ${this.escapeHtml(result.error)}`}</td>
+            </tr>
+        `).join('');
+
+        this.elements.batchResults.innerHTML = `
+            <table class="offset-table">
+                <thead><tr><th>Unit</th><th>Started</th><th>MAC Address</th><th>Chip</th><th>Firmware</th><th>Duration</th><th>Result</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    },
+
+    // Merge the flash plan into one image for flashing at 0x0 and download it with a manifest
+    async onExportMerged() {
+        if (!this.state.firmwareFiles) {
+            return;
+        }
+
+        this.showConsole();
+        const plan = this.validateFlashPlan();
+        if (!plan.isValid) {
+            plan.errors.forEach(error => this.log(error, 'error'));
+            this.log('Merged image not exported, fix the offsets above', 'error');
+            return;
+        }
+
+        try {
+            const settings = Flasher.getSettings();
+            const flashSize = this.elements.mergeFlashSize.value;
+            const { data, manifest } = await FileHandler.buildMergedImage(this.prepareFlashPlan(), {
+                flashMode: settings.flashMode,
+                flashFreq: settings.flashFreq,
+                flashSize
+            });
+
+            if (flashSize !== 'keep' && manifest.size > parseInt(flashSize, 10) * 0x100000) {
+                throw new Error(`Merged image (${this.formatSize(manifest.size)}) does not fit in ${flashSize} of flash`);
+            }
+
+            const description = this.state.newFirmware;
+            const base = (description ? `${description.projectName}-${description.version}` : 'firmware').replace(/[^A-Za-z0-9._-]+/g, '_');
+            const filename = `${base}_merged_0x0.bin`;
+            const fullManifest = {
+                image: filename,
+                offset: '0x0',
+                ...manifest,
+                created: new Date().toISOString(),
+                firmware: this.describeFirmware()
+            };
+
+            this.downloadFile(data, filename);
+            this.downloadFile(JSON.stringify(fullManifest, null, 2) + '\n', `${base}_merged_0x0.manifest.json`, 'application/json');
+            this.log(`Exported ${filename} (${this.formatSize(manifest.size)}, ${manifest.regions.length} region(s), SHA-256 ${manifest.sha256})`, 'success');
+            if (manifest.flashMode) {
+                this.log(`Bootloader header: ${manifest.flashMode}, ${manifest.flashFreq}, ${manifest.flashSize}`, 'info');
+            }
+        } catch (error) {
+            this.log(`Could not export merged image: ${error.message}`, 'error');
+        }
+    },
+
+    // Populate the backup region selector from the device partition table
+    renderBackupRegions() {
+        const select = this.elements.backupRegion;
+        select.innerHTML = '';
+
+        if (!this.state.connected) {
+            this.backupRegions = [];
+            select.innerHTML = '<option>Connect a device first</option>';
+            return;
+        }
+
+        // Size of the full flash is detected when the backup starts
+        this.backupRegions = [{ label: 'full', offset: 0, size: null }];
+        (this.state.devicePartitions || []).forEach(p => this.backupRegions.push(p));
+
+        this.backupRegions.forEach((region, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = region.size === null ?
+                'Entire flash' :
+                `${region.label} (${region.typeName}/${region.subtypeName}, 0x${region.offset.toString(16).toUpperCase()}, ${this.formatSize(region.size)})`;
+            select.appendChild(option);
+        });
+    },
+
+    // Handle backup download
+    async onBackup() {
+        const region = this.backupRegions[this.elements.backupRegion.value];
+        if (!region || !this.state.connected) {
+            return;
+        }
+
+        try {
+            this.state.busy = true;
+            this.updateUI();
+            this.showConsole();
+            this.showProgress();
+
+            const size = region.size !== null ? region.size : await Flasher.getFlashSize();
+            const name = region.size !== null ? `partition ${region.label}` : 'entire flash';
+            this.log(`Reading ${name} (0x${region.offset.toString(16).toUpperCase()}, ${this.formatSize(size)})...`, 'info');
+
+            const startTime = Date.now();
+            const data = await Flasher.readFlashRegion(region.offset, size, (progress) => {
+                this.updateProgress(progress, { label: `Backup ${region.label}` });
+            });
+
+            const filename = FileHandler.buildBackupFilename(this.state.deviceInfo.macAddress, region.label, region.offset);
+            this.downloadFile(data, filename);
+
+            this.updateProgress(100);
+            this.log(`Backup saved as ${filename} (${((Date.now() - startTime) / 1000).toFixed(1)}s)`, 'success');
+        } catch (error) {
+            this.log(`Backup failed: ${error.message}`, 'error');
+            this.recordError('backup', error);
+        } finally {
+            this.state.busy = false;
+            this.updateUI();
+        }
+    },
+
+    // Handle backup file selection for restore
+    onRestoreFileSelected(e) {
+        const file = e.target.files[0];
+        this.state.restoreFile = file || null;
+
+        if (file) {
+            const backup = FileHandler.parseBackupFilename(file.name);
+            if (backup) {
+                this.elements.restoreOffset.value = `0x${backup.offset.toString(16).toUpperCase()}`;
+                this.log(`Backup of ${backup.label === 'full' ? 'entire flash' : `partition ${backup.label}`} from ${backup.macAddress}, taken ${backup.timestamp}`, 'info');
+            } else {
+                this.elements.restoreOffset.value = '0x0';
+                this.log(`${file.name} is not a named backup, check the restore offset`, 'warning');
+            }
+        }
+
+        this.updateUI();
+    },
+
+    // Handle restore of a backup
+    async onRestore() {
+        const file = this.state.restoreFile;
+        if (!file || !this.state.connected) {
+            return;
+        }
+
+        const offsetValue = this.elements.restoreOffset.value.trim();
+        if (!/^0x[0-9A-Fa-f]+$/.test(offsetValue)) {
+            this.log('Invalid restore offset. Use hex with 0x prefix (e.g., 0x9000)', 'error');
+            return;
+        }
+        const offset = parseInt(offsetValue, 16);
+
+        try {
+            this.state.busy = true;
+            this.updateUI();
+            this.showConsole();
+            // Cleared before the checks, so the warnings the user confirms stay visible
+            this.clearConsole();
+
+            const data = await FileHandler.getBinaryBuffer(file);
+            const check = FileHandler.checkBackupCompatibility(file.name, data.byteLength, offset, {
+                macAddress: this.state.deviceInfo.macAddress,
+                flashSize: await Flasher.getFlashSize(),
+                partitions: this.state.devicePartitions
+            });
+
+            if (check.errors.length > 0) {
+                check.errors.forEach(error => this.log(`Cannot restore: ${error}`, 'error'));
+                return;
+            }
+
+            if (check.warnings.length > 0) {
+                check.warnings.forEach(warning => this.log(warning, 'warning'));
+                if (!confirm(`${check.warnings.join('\n')}\n\nRestore this backup anyway?`)) {
+                    this.log('Restore cancelled', 'info');
+                    return;
+                }
+            }
+
+            FlashHistory.begin('restore', {
+                ...this.getHistoryDevice(),
+                firmware: { source: 'backup', name: file.name },
+                plan: [{ filename: file.name, offset, data }],
+                settings: this.getHistorySettings()
+            });
+            this.state.flashing = true;
+            this.updateUI();
+            this.showProgress();
+
+            this.log(`Restoring ${file.name} (${this.formatSize(data.byteLength)}) to 0x${offset.toString(16).toUpperCase()}...`, 'info');
+
+            await Flasher.flashFirmware(
+                [{ filename: file.name, offset, data }],
+                (progress, info) => this.updateProgress(progress, info),
+                (message, type) => this.log(message, type),
+                this.getFlashOptions()
+            );
+
+            this.log('Restore completed successfully!', 'success');
+            await this.finishHistory('success');
+        } catch (error) {
+            if (!error.cancelled) {
+                this.log(`Restore failed: ${error.message}`, 'error');
+                this.recordError('restore', error);
+            }
+            await this.finishHistory(error.cancelled ? 'cancelled' : 'failed', { error: error.message });
+        } finally {
+            this.state.busy = false;
+            this.state.flashing = false;
+            this.updateUI();
+        }
+    },
+
+    // Populate the erasable partition selector from the device partition table
+    renderEraseRegions() {
+        const select = this.elements.eraseRegion;
+        const partitions = this.state.devicePartitions || [];
+        select.innerHTML = '';
+
+        if (partitions.length === 0) {
+            select.innerHTML = `<option>${this.state.connected ? 'No partition table on device' : 'Connect a device first'}</option>`;
+            return;
+        }
+
+        partitions.forEach((partition, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${partition.label} (${partition.typeName}/${partition.subtypeName}, 0x${partition.offset.toString(16).toUpperCase()}, ${this.formatSize(partition.size)})`;
+            select.appendChild(option);
+        });
+    },
+
+    // Handle erasing a single partition
+    async onErasePartition() {
+        const partition = (this.state.devicePartitions || [])[this.elements.eraseRegion.value];
+        if (!partition || !this.state.connected) {
+            return;
+        }
+
+        const warning = partition.typeName === 'app' ?
+            'This removes firmware, the scale may not boot until it is reflashed.' :
+            'Data stored in it is lost.';
+        await this.runErase(
+            `Erase partition ${partition.label} (0x${partition.offset.toString(16).toUpperCase()}, ${this.formatSize(partition.size)})?\n\n${warning}`,
+            () => this.erasePartitions([partition])
+        );
+    },
+
+    // Handle wiping settings and filesystems while keeping the app
+    async onFactoryReset() {
+        const partitions = FileHandler.findFactoryResetPartitions(this.state.devicePartitions || []);
+        if (partitions.length === 0 || !this.state.connected) {
+            return;
+        }
+
+        await this.runErase(
+            `Factory reset erases ${partitions.map(p => p.label).join(', ')}.\n\nCalibration, settings and stored files are lost; the firmware is kept. Continue?`,
+            () => this.erasePartitions(partitions)
+        );
+    },
+
+    // Handle erasing the entire flash
+    async onEraseFlash() {
+        if (!this.state.connected) {
+            return;
+        }
+
+        await this.runErase(
+            'Erase the ENTIRE flash?\n\nFirmware, calibration and settings are lost and the scale will not boot until it is reflashed.',
+            () => Flasher.eraseFlash((message, type) => this.log(message, type))
+        );
+    },
+
+    // Erase partitions one after another
+    async erasePartitions(partitions) {
+        for (const [index, partition] of partitions.entries()) {
+            this.log(`Erasing ${partition.label} (0x${partition.offset.toString(16).toUpperCase()}, ${this.formatSize(partition.size)})...`, 'info');
+            await Flasher.eraseRegion(partition.offset, partition.size, (progress) => {
+                this.updateProgress(((index + progress / 100) / partitions.length) * 100, { label: `Erase ${partition.label}` });
+            });
+            this.log(`Erased ${partition.label}`, 'success');
+        }
+    },
+
+    // Confirm and run an erase action, then reread what is left on the device
+    async runErase(question, action) {
+        if (!confirm(question)) {
+            this.log('Erase cancelled', 'info');
+            return;
+        }
+
+        FlashHistory.begin('erase', { ...this.getHistoryDevice(), settings: Flasher.getSettings() });
+        try {
+            this.state.busy = true;
+            this.updateUI();
+            this.showConsole();
+            this.showProgress();
+
+            const startTime = Date.now();
+            await action();
+            this.updateProgress(100);
+            this.log(`Erase completed (${((Date.now() - startTime) / 1000).toFixed(1)}s)`, 'success');
+
+            await this.readDeviceFirmware();
+            await this.finishHistory('success');
+        } catch (error) {
+            this.log(`Erase failed: ${error.message}`, 'error');
+            this.recordError('erase', error);
+            await this.finishHistory('failed', { error: error.message });
+        } finally {
+            this.state.busy = false;
+            this.updateUI();
+        }
+    },
+
+    // Find the LittleFS image among the loaded firmware files
+    findFilesystemImage() {
+        if (!this.state.firmwareFiles) {
+            return null;
+        }
+        return Object.keys(this.state.firmwareFiles).find(filename => {
+            const target = FileHandler.resolveFlashTarget(filename, this.state.partitions, this.state.manifest);
+            return /littlefs|spiffs/i.test(filename) ||
+                (target.partition && ['littlefs', 'spiffs'].includes(target.partition.subtypeName));
+        }) || null;
+    },
+
+    // Handle opening the filesystem image of the loaded firmware
+    onFsOpen() {
+        const filename = this.findFilesystemImage();
+        if (!filename) {
+            return;
+        }
+
+        this.showConsole();
+        try {
+            const { config, root } = LittleFS.parse(this.state.firmwareFiles[filename]);
+            this.state.fsImage = { filename, config, root, modified: false };
+            const files = LittleFS.listFiles(root);
+            this.log(`Opened ${filename}: ${files.length} file(s), ${config.blockCount} blocks of ${this.formatSize(config.blockSize)}`, 'success');
+        } catch (error) {
+            this.state.fsImage = null;
+            this.log(`Cannot open ${filename}: ${error.message}`, 'error');
+        }
+        this.renderFsBrowser();
+        this.updateUI();
+    },
+
+    // Render the files of the opened filesystem image
+    renderFsBrowser() {
+        const image = this.state.fsImage;
+        this.elements.fsBrowser.classList.toggle('hidden', !image);
+        this.elements.fsViewer.classList.add('hidden');
+        if (!image) {
+            this.elements.fsFileList.innerHTML = '';
+            return;
+        }
+
+        const files = LittleFS.listFiles(image.root);
+        const total = files.reduce((sum, file) => sum + file.size, 0);
+        this.elements.fsInfo.textContent = `${image.filename}: ${files.length} file(s), ${this.formatSize(total)}, LittleFS ${image.config.version >>> 16}.${image.config.version & 0xFFFF}${image.modified ? ' (modified, rebuild to flash the changes)' : ''}`;
+
+        if (files.length === 0) {
+            this.elements.fsFileList.innerHTML = '<div class="no-files-message">The filesystem is empty</div>';
+            return;
+        }
+
+        let tableHTML = `
+            <table class="offset-table">
+                <thead>
+                    <tr>
+                        <th>Path</th>
+                        <th>Size</th>
+                        <th>Action</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        for (const file of files) {
+            const path = this.escapeHtml(file.path);
+            tableHTML += `
+                <tr>
+                    <td>${path}</td>
+                    <td>${this.formatSize(file.size)}</td>
+                    <td class="cache-actions">
+                        <button class="button secondary" data-action="view" data-path="${path}">View</button>
+                        <button class="button secondary" data-action="download" data-path="${path}">Download</button>
+                        <button class="button secondary" data-action="replace" data-path="${path}">Replace</button>
+                        <button class="button secondary" data-action="remove" data-path="${path}">Remove</button>
+                    </td>
+                </tr>
+            `;
+        }
+
+        tableHTML += `
+                </tbody>
+            </table>
+        `;
+
+        this.elements.fsFileList.innerHTML = tableHTML;
 
-        // Advanced options
-        this.elements.advancedModeCheckbox.addEventListener('change', (e) => this.onAdvancedModeToggle(e));
-        this.elements.resetAllOffsetsBtn.addEventListener('click', () => this.onResetAllOffsets());
+        this.elements.fsFileList.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.onFsFileAction(e));
+        });
     },
 
-    // Update UI based on state
-    updateUI() {
-        // Update connection buttons
-        this.elements.connectBtn.disabled = this.state.connected;
-        this.elements.disconnectBtn.disabled = !this.state.connected;
+    // Handle view/download/replace/remove of a file in the filesystem image
+    onFsFileAction(e) {
+        const { action, path } = e.target.dataset;
+        const image = this.state.fsImage;
+        const file = LittleFS.listFiles(image.root).find(f => f.path === path);
+        if (!file) {
+            return;
+        }
 
-        // Update flash button
-        this.elements.flashBtn.disabled = !this.state.connected ||
-                                           !this.state.firmwareFiles ||
-                                           this.state.flashing;
+        if (action === 'view') {
+            const viewer = this.elements.fsViewer;
+            const text = new TextDecoder('utf-8', { fatal: false }).decode(file.data.subarray(0, 64 * 1024));
+            viewer.textContent = /[\x00-\x08\x0E-\x1F]/.test(text) ?
+                `${path}: binary file, ${this.formatSize(file.size)}` :
+                `${path}\n\n${text}${file.size > 64 * 1024 ? '\n...' : ''}`;
+            viewer.classList.remove('hidden');
+        } else if (action === 'download') {
+            this.downloadFile(file.data, path.split('/').pop());
+        } else if (action === 'replace') {
+            this.fsReplacePath = path;
+            this.elements.fsReplaceInput.value = '';
+            this.elements.fsReplaceInput.click();
+        } else if (action === 'remove') {
+            LittleFS.removeFile(image.root, path);
+            this.markFsModified(`Removed ${path}`);
+        }
     },
 
-    // Handle zip upload
-    async onZipUpload(e) {
+    // Handle the replacement file picked for a filesystem entry
+    async onFsReplace(e) {
         const file = e.target.files[0];
-        if (!file) {
-            this.state.firmwareFiles = null;
-            this.updateUI();
+        const path = this.fsReplacePath;
+        if (!file || !this.state.fsImage || !path) {
             return;
         }
 
         try {
-            this.log('Extracting firmware files...', 'info');
+            const data = new Uint8Array(await FileHandler.getBinaryBuffer(file));
+            LittleFS.writeFile(this.state.fsImage.root, path, data);
+            this.markFsModified(`Replaced ${path} with ${file.name} (${this.formatSize(data.length)})`);
+        } catch (error) {
+            this.showConsole();
+            this.log(`Cannot replace ${path}: ${error.message}`, 'error');
+        } finally {
+            this.fsReplacePath = null;
+        }
+    },
 
-            const files = await FileHandler.extractZipFile(file);
-            const validation = FileHandler.validateFirmwareFiles(files);
+    // Handle adding a file to the filesystem image
+    async onFsAdd() {
+        const file = this.elements.fsAddFile.files[0];
+        if (!file || !this.state.fsImage) {
+            this.log('Choose a file to add first', 'error');
+            return;
+        }
 
-            if (!validation.isValid) {
-                throw new Error(validation.message);
+        const path = this.elements.fsAddPath.value.trim() || `/${file.name}`;
+        try {
+            const data = new Uint8Array(await FileHandler.getBinaryBuffer(file));
+            LittleFS.writeFile(this.state.fsImage.root, path, data);
+            this.elements.fsAddPath.value = '';
+            this.elements.fsAddFile.value = '';
+            this.markFsModified(`Added ${path} (${this.formatSize(data.length)})`);
+        } catch (error) {
+            this.log(`Cannot add ${path}: ${error.message}`, 'error');
+        }
+    },
+
+    // Log a change to the filesystem image and refresh the browser
+    markFsModified(message) {
+        this.state.fsImage.modified = true;
+        this.showConsole();
+        this.log(message, 'info');
+        this.renderFsBrowser();
+        this.updateUI();
+    },
+
+    // Rebuild the filesystem image for its target partition and use it for flashing
+    onFsRebuild() {
+        const image = this.state.fsImage;
+        if (!image) {
+            return;
+        }
+
+        this.showConsole();
+        try {
+            // The partition decides the block count, firmware refuses to mount an image of another size
+            const target = FileHandler.resolveFlashTarget(image.filename, this.state.partitions || this.state.devicePartitions, this.state.manifest);
+            const config = { ...image.config };
+            if (target.partition) {
+                if (target.partition.size % config.blockSize !== 0) {
+                    throw new Error(`Partition ${target.partition.label} (${target.partition.size} bytes) is not a multiple of the ${config.blockSize} byte block size`);
+                }
+                config.blockCount = target.partition.size / config.blockSize;
+            } else {
+                this.log('No partition found for the filesystem image, keeping its block count', 'warning');
             }
 
-            this.state.firmwareFiles = files;
-            this.log(validation.message, 'success');
-            this.updateUI();
+            const data = LittleFS.build(image.root, config);
+            this.state.firmwareFiles[image.filename] = data.buffer;
+            image.config = config;
+            image.modified = false;
 
-            // Re-render offset table if advanced mode is active
+            this.log(`Rebuilt ${image.filename}: ${config.blockCount} blocks of ${this.formatSize(config.blockSize)} (${this.formatSize(data.length)}), flashed at 0x${target.offset.toString(16).toUpperCase()}`, 'success');
+            this.logFlashPlan();
             if (this.state.advancedMode) {
                 this.renderOffsetTable();
             }
         } catch (error) {
-            this.log(error.message, 'error');
-            this.state.firmwareFiles = null;
-            this.updateUI();
+            this.log(`Rebuilding ${image.filename} failed: ${error.message}`, 'error');
         }
+        this.renderFsBrowser();
+        this.updateUI();
     },
 
-    // Handle device connection
-    async onConnect() {
+    // Find the NVS partition holding the scale's settings
+    findNvsPartition() {
+        const candidates = (this.state.devicePartitions || []).filter(p => p.typeName === 'data' && p.subtypeName === 'nvs');
+        return candidates.find(p => p.label === 'nvs') || candidates[0] || null;
+    },
+
+    // Handle reading and decoding the NVS partition
+    async onReadNvs() {
+        const partition = this.findNvsPartition();
+        if (!partition || !this.state.connected) {
+            return;
+        }
+
         try {
-            this.log('Connecting to device...', 'info');
-            this.clearConsole();
+            this.state.busy = true;
+            this.updateUI();
             this.showConsole();
+            this.showProgress();
 
-            const deviceInfo = await Flasher.connectDevice();
+            this.log(`Reading NVS partition ${partition.label} (0x${partition.offset.toString(16).toUpperCase()}, ${this.formatSize(partition.size)})...`, 'info');
+            const data = await Flasher.readFlashRegion(partition.offset, partition.size, (progress) => {
+                this.updateProgress(progress, { label: `Read ${partition.label}` });
+            });
 
-            this.state.connected = true;
+            const nvs = NvsDecoder.parse(data);
+            this.renderNvs(nvs);
+            this.log(`Decoded ${nvs.entries.length} setting(s) in ${Object.keys(nvs.namespaces).length} namespace(s)`, 'success');
+            nvs.issues.forEach(issue => this.log(`NVS ${issue}`, 'warning'));
+        } catch (error) {
+            this.log(`Reading NVS failed: ${error.message}`, 'error');
+            this.recordError('read NVS', error);
+        } finally {
+            this.state.busy = false;
+            this.updateUI();
+        }
+    },
 
-            // Update device info display
-            this.elements.chipType.textContent = deviceInfo.type;
-            this.elements.macAddress.textContent = deviceInfo.macAddress;
-            this.elements.flashSize.textContent = 'Auto-detect';
-            this.elements.deviceInfo.classList.remove('hidden');
+    // Render decoded NVS settings and page states
+    renderNvs(nvs) {
+        const rows = nvs.entries.map(entry => `
+            <tr class="${entry.valid ? '' : 'nvs-invalid'}">
+                <td>${this.escapeHtml(entry.namespaceName)}</td>
+                <td>${this.escapeHtml(entry.key)}</td>
+                <td>${entry.type}</td>
+                <td>${this.escapeHtml(NvsDecoder.formatValue(entry))}${entry.valid ? '' : ' (corrupt)'}</td>
+            </tr>
+        `).join('');
+
+        const pages = nvs.pages.map(page => `
+            <tr class="${page.issues.length > 0 ? 'nvs-invalid' : ''}">
+                <td>${page.index}</td>
+                <td>${this.escapeHtml(page.state)}</td>
+                <td>${page.state === 'empty' ? '-' : page.seq}</td>
+                <td>${page.state === 'empty' ? '-' : `${page.used} used, ${page.erased} erased`}</td>
+                <td>${this.escapeHtml(page.issues.join(', ') || 'OK')}</td>
+            </tr>
+        `).join('');
+
+        const issues = nvs.issues.length > 0 ?
+            `<ul class="nvs-issues">${nvs.issues.map(issue => `<li>${this.escapeHtml(issue)}</li>`).join('')}</ul>` :
+            '';
+        const settings = rows ? `
+            <table class="offset-table">
+                <thead><tr><th>Namespace</th><th>Key</th><th>Type</th><th>Value</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : '<div class="no-files-message">No settings stored</div>';
 
-            this.log(`Connected to ${deviceInfo.type}`, 'success');
-            this.log(`MAC Address: ${deviceInfo.macAddress}`, 'info');
+        this.elements.nvsOutput.innerHTML = `
+            ${issues}
+            ${settings}
+            <table class="offset-table">
+                <thead><tr><th>Page</th><th>State</th><th>Sequence</th><th>Entries</th><th>Status</th></tr></thead>
+                <tbody>${pages}</tbody>
+            </table>
+        `;
+    },
+
+    // Handle opening the serial monitor
+    async onMonitorOpen() {
+        try {
+            let port;
+            if (this.state.connected) {
+                // The bootloader connection and the monitor cannot share the port
+                port = await Flasher.releasePort();
+                this.resetDeviceState();
+                this.log('Disconnected from bootloader to open serial monitor', 'info');
+            } else {
+                if (!('serial' in navigator)) {
+                    throw new Error('Web Serial API is not supported in this browser. Please use Chrome, Edge, or Opera.');
+                }
+                port = await navigator.serial.requestPort();
+            }
+
+            const baudRate = Number(this.elements.monitorBaud.value);
+            await SerialMonitor.start(
+                port,
+                baudRate,
+                (line) => this.appendMonitorLine(line),
+                (error) => this.onMonitorError(error)
+            );
 
+            this.state.monitorOpen = true;
+            this.appendMonitorNotice(`Monitor opened at ${baudRate} baud`);
             this.updateUI();
         } catch (error) {
-            this.log(error.message, 'error');
-            this.state.connected = false;
-            this.updateUI();
+            this.showConsole();
+            this.log(`Serial monitor: ${error.message}`, 'error');
         }
     },
 
-    // Handle device disconnection
-    async onDisconnect() {
+    // Close the serial monitor
+    async closeMonitor() {
+        await SerialMonitor.stop();
+        this.state.monitorOpen = false;
+        this.appendMonitorNotice('Monitor closed');
+        this.updateUI();
+    },
+
+    // Handle read errors of the serial monitor
+    onMonitorError(error) {
+        this.appendMonitorNotice(`Read error: ${error.message}`);
+
+        // The monitor stops by itself when the device is unplugged
+        if (!SerialMonitor.isRunning()) {
+            this.closeMonitor();
+        }
+    },
+
+    // Handle device reset from the serial monitor
+    async onMonitorReset() {
         try {
-            this.log('Disconnecting...', 'info');
-            await Flasher.disconnectDevice();
+            await SerialMonitor.resetDevice();
+            this.appendMonitorNotice('Device reset');
+        } catch (error) {
+            this.appendMonitorNotice(`Reset failed: ${error.message}`);
+        }
+    },
 
-            this.state.connected = false;
-            this.elements.deviceInfo.classList.add('hidden');
+    // Handle sending a command from the serial monitor
+    async onMonitorSend() {
+        const text = this.elements.monitorInput.value;
+        const lineEndings = { lf: '\n', crlf: '\r\n', none: '' };
 
-            this.log('Disconnected', 'success');
-            this.updateUI();
+        try {
+            await SerialMonitor.send(text, lineEndings[this.elements.monitorLineEnding.value]);
+            this.appendMonitorLine({
+                time: new Date(),
+                text: `> ${text}`,
+                segments: [{ text: `> ${text}`, fg: null, bold: false }],
+                sent: true
+            });
+            this.elements.monitorInput.value = '';
         } catch (error) {
-            this.log(error.message, 'error');
+            this.appendMonitorNotice(`Send failed: ${error.message}`);
         }
     },
 
-    // Handle flash operation
-    async onFlash() {
-        if (!this.state.firmwareFiles) {
-            this.log('No firmware files loaded', 'error');
+    // Add a status line to the serial monitor
+    appendMonitorNotice(message) {
+        const text = `--- ${message} ---`;
+        this.appendMonitorLine({ time: new Date(), text, segments: [{ text, fg: 8, bold: false }] });
+    },
+
+    // Add a received line to the serial monitor
+    appendMonitorLine(line) {
+        const lines = this.state.monitorLines;
+        const output = this.elements.monitorOutput;
+        const paused = this.elements.monitorPauseCheckbox.checked;
+
+        lines.push(line);
+        if (lines.length > this.MONITOR_MAX_LINES) {
+            lines.shift();
+            if (!paused && output.firstChild) {
+                output.firstChild.remove();
+            }
+        }
+
+        // While paused, lines are kept and shown on resume
+        if (paused) {
             return;
         }
 
-        if (!this.state.connected) {
-            this.log('Device not connected', 'error');
+        output.appendChild(this.createMonitorLineElement(line, this.elements.monitorSearch.value.toLowerCase()));
+        if (this.elements.monitorAutoscrollCheckbox.checked) {
+            output.scrollTop = output.scrollHeight;
+        }
+    },
+
+    // Render all kept serial monitor lines (after resume or a filter change)
+    renderMonitor() {
+        if (this.elements.monitorPauseCheckbox.checked) {
             return;
         }
 
-        // Validate custom offsets if advanced mode is enabled
-        if (this.state.advancedMode && Object.keys(this.state.customOffsets).length > 0) {
-            let hasErrors = false;
-            for (const [filename, offset] of Object.entries(this.state.customOffsets)) {
-                const validation = this.validateOffset(filename, `0x${offset.toString(16)}`);
-                if (!validation.isValid) {
-                    this.log(`Invalid custom offset for ${filename}: ${validation.message}`, 'error');
-                    hasErrors = true;
-                }
+        const output = this.elements.monitorOutput;
+        const filter = this.elements.monitorSearch.value.toLowerCase();
+        const fragment = document.createDocumentFragment();
+        this.state.monitorLines.forEach(line => fragment.appendChild(this.createMonitorLineElement(line, filter)));
+
+        output.innerHTML = '';
+        output.appendChild(fragment);
+        if (this.elements.monitorAutoscrollCheckbox.checked) {
+            output.scrollTop = output.scrollHeight;
+        }
+    },
+
+    // Build the element of a serial monitor line
+    createMonitorLineElement(line, filter) {
+        const element = document.createElement('div');
+        element.className = line.sent ? 'monitor-line sent' : 'monitor-line';
+        if (filter && !line.text.toLowerCase().includes(filter)) {
+            element.classList.add('filtered');
+        }
+
+        const time = document.createElement('span');
+        time.className = 'monitor-time';
+        time.textContent = `[${this.formatMonitorTime(line.time)}] `;
+        element.appendChild(time);
+
+        line.segments.forEach(segment => {
+            const span = document.createElement('span');
+            if (segment.fg !== null) {
+                span.classList.add(`ansi-fg-${segment.fg}`);
             }
-            if (hasErrors) {
-                return;
+            if (segment.bold) {
+                span.classList.add('ansi-bold');
             }
+            span.textContent = segment.text;
+            element.appendChild(span);
+        });
+
+        return element;
+    },
+
+    // Format a serial monitor timestamp with milliseconds
+    formatMonitorTime(date) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    },
+
+    // Handle saving the serial monitor log
+    onMonitorSave() {
+        if (this.state.monitorLines.length === 0) {
+            return;
         }
 
+        const text = this.state.monitorLines
+            .map(line => `[${line.time.toISOString()}] ${line.text}`)
+            .join('\n') + '\n';
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        this.downloadFile(text, `hds-serial_${stamp}.log`, 'text/plain');
+    },
+
+    // Handle clearing the serial monitor
+    onMonitorClear() {
+        this.state.monitorLines = [];
+        this.elements.monitorOutput.innerHTML = '';
+    },
+
+    // Device fields of a history entry
+    getHistoryDevice() {
+        const deviceInfo = this.state.deviceInfo;
+        return {
+            macAddress: deviceInfo ? deviceInfo.macAddress : null,
+            chip: deviceInfo ? deviceInfo.type : null
+        };
+    },
+
+    // Where the loaded firmware came from and which version it is
+    describeFirmware() {
+        const origin = this.state.firmwareOrigin || {};
+        const description = this.state.newFirmware;
+        return {
+            source: origin.source || this.state.firmwareSource,
+            name: origin.name || null,
+            repo: origin.repo || null,
+            tag: origin.tag || null,
+            version: description ? `${description.projectName} ${description.version}` : null
+        };
+    },
+
+    // Connection and flash settings of a history entry
+    getHistorySettings(extra = {}) {
+        return {
+            ...Flasher.getSettings(),
+            ...this.getFlashOptions(),
+            advancedMode: this.state.advancedMode,
+            ...extra
+        };
+    },
+
+    // Save the history entry being recorded; a missing database must not fail the operation
+    async finishHistory(outcome, details = {}) {
         try {
-            this.state.flashing = true;
-            this.updateUI();
-            this.clearConsole();
-            this.showConsole();
-            this.showProgress();
+            await FlashHistory.finish(outcome, details);
+        } catch (error) {
+            console.warn('Could not save history entry:', error);
+        }
+        await this.renderHistory();
+    },
 
-            this.log('Preparing firmware files...', 'info');
+    // Render the history, filtered by MAC address
+    async renderHistory() {
+        const container = this.elements.historyList;
 
-            // Prepare files for flashing (with or without custom offsets)
-            let preparedFiles;
-            if (this.state.advancedMode && Object.keys(this.state.customOffsets).length > 0) {
-                preparedFiles = FileHandler.prepareFirmwareFilesWithCustomOffsets(
-                    this.state.firmwareFiles,
-                    this.state.customOffsets
-                );
-                this.log('Using custom flash offsets', 'info');
-            } else {
-                preparedFiles = FileHandler.prepareFirmwareFiles(this.state.firmwareFiles);
+        let entries;
+        try {
+            entries = await FlashHistory.list(this.elements.historyFilter.value.trim());
+        } catch (error) {
+            container.innerHTML = `<div class="no-files-message">History unavailable: ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        if (entries.length === 0) {
+            container.innerHTML = `<div class="no-files-message">${this.elements.historyFilter.value.trim() ? 'No history for this MAC address' : 'No history yet. Every connect, flash, restore and erase is recorded here.'}</div>`;
+            return;
+        }
+
+        const rows = entries.map(entry => {
+            const firmware = entry.firmware ? [entry.firmware.version, entry.firmware.name].filter(Boolean).join(', ') : '';
+            return `
+                <tr class="${['success', 'skipped'].includes(entry.outcome) ? '' : 'history-failed'}">
+                    <td>${new Date(entry.date).toLocaleString()}</td>
+                    <td>${this.escapeHtml(entry.type)}</td>
+                    <td>${this.escapeHtml(entry.macAddress || '-')}</td>
+                    <td>${this.escapeHtml(entry.chip || '-')}</td>
+                    <td>${this.escapeHtml(firmware || '-')}</td>
+                    <td>${entry.duration.toFixed(1)}s</td>
+                    <td>${this.escapeHtml(entry.outcome)}</td>
+                    <td class="cache-actions">
+                        <button class="button secondary" data-action="view" data-id="${entry.id}">Log</button>
+                        <button class="button secondary" data-action="export" data-id="${entry.id}">Export</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="offset-table">
+                <thead><tr><th>Date</th><th>Operation</th><th>MAC Address</th><th>Chip</th><th>Firmware</th><th>Duration</th><th>Outcome</th><th>Action</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.onHistoryAction(e));
+        });
+    },
+
+    // Handle viewing or exporting one history entry
+    async onHistoryAction(e) {
+        const { action, id } = e.target.dataset;
+
+        try {
+            const entry = await FlashHistory.get(Number(id));
+            if (action === 'view') {
+                this.elements.historyViewer.textContent = this.formatHistoryEntry(entry);
+                this.elements.historyViewer.classList.remove('hidden');
+            } else if (action === 'export') {
+                const stamp = new Date(entry.date).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+                this.downloadFile(FlashHistory.toJson([entry]), `hds-history_${entry.type}_${stamp}.json`, 'application/json');
             }
+        } catch (error) {
+            this.showConsole();
+            this.log(error.message, 'error');
+        }
+    },
+
+    // Format a history entry with its plan and log for display
+    formatHistoryEntry(entry) {
+        const lines = [
+            `${entry.type} on ${new Date(entry.date).toLocaleString()}: ${entry.outcome}${entry.error ? ` (${entry.error})` : ''}, ${entry.duration.toFixed(1)}s`,
+            `Device: ${entry.chip || 'unknown chip'}, MAC ${entry.macAddress || 'unknown'}`
+        ];
+        if (entry.installedFirmware) {
+            lines.push(`Installed firmware: ${this.formatAppDescription(entry.installedFirmware)}`);
+        }
+        if (entry.firmware) {
+            lines.push(`Firmware: ${[entry.firmware.version, entry.firmware.name, entry.firmware.source].filter(Boolean).join(', ')}`);
+        }
+        entry.plan.forEach(file => {
+            lines.push(`  - ${file.filename} @ 0x${file.offset.toString(16).toUpperCase()}, ${this.formatSize(file.size)}`);
+        });
+        if (entry.settings) {
+            lines.push(`Settings: ${JSON.stringify(entry.settings)}`);
+        }
+        lines.push('');
+        entry.log.forEach(line => {
+            lines.push(`[${new Date(line.time).toLocaleTimeString()}] ${line.type.toUpperCase()}: ${line.message}`);
+        });
+        return lines.join('\n');
+    },
 
-            this.log(`Prepared ${preparedFiles.length} file(s) for flashing`, 'info');
+    // Download the listed history entries as JSON
+    async onHistoryExport() {
+        try {
+            const entries = await FlashHistory.list(this.elements.historyFilter.value.trim());
+            const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+            this.downloadFile(FlashHistory.toJson(entries), `hds-history_${stamp}.json`, 'application/json');
+        } catch (error) {
+            this.showConsole();
+            this.log(error.message, 'error');
+        }
+    },
 
-            // Flash firmware
-            await Flasher.flashFirmware(
-                preparedFiles,
-                (progress, info) => this.updateProgress(progress, info),
-                (message, type) => this.log(message, type)
-            );
+    // Handle clearing the history
+    async onHistoryClear() {
+        if (!confirm('Remove the entire flash history from this browser?')) {
+            return;
+        }
 
-            this.log('Flashing completed successfully!', 'success');
+        try {
+            await FlashHistory.clear();
+            this.elements.historyViewer.classList.add('hidden');
         } catch (error) {
-            this.log(`Flashing failed: ${error.message}`, 'error');
-        } finally {
-            this.state.flashing = false;
-            this.updateUI();
+            this.showConsole();
+            this.log(error.message, 'error');
+        }
+        await this.renderHistory();
+    },
+
+    // Keep the error of a failed operation, with its stack and cause, for the diagnostic bundle
+    recordError(operation, error) {
+        this.state.lastError = {
+            operation,
+            time: new Date().toISOString(),
+            error: Diagnostics.serializeError(error)
+        };
+    },
+
+    // Package everything support needs to look into a failed update
+    async onExportDiagnostics() {
+        this.showConsole();
+        try {
+            let files = [];
+            let plan = null;
+            if (this.state.firmwareFiles) {
+                const preparedFiles = this.prepareFlashPlan();
+                files = await Diagnostics.describeFiles(preparedFiles);
+                plan = this.validateFlashPlan(preparedFiles);
+            }
+
+            const session = Flasher.session;
+            const blob = await Diagnostics.buildBundle({
+                log: this.state.logLines,
+                device: {
+                    connected: this.state.connected,
+                    chip: this.state.deviceInfo,
+                    installedFirmware: this.state.installedFirmware,
+                    partitions: this.state.devicePartitions,
+                    interruptedFlash: session ? {
+                        macAddress: session.macAddress,
+                        nextFile: session.files[session.nextIndex].filename,
+                        filesLeft: session.files.length - session.nextIndex
+                    } : null
+                },
+                firmware: {
+                    ...this.describeFirmware(),
+                    description: this.state.newFirmware,
+                    manifest: this.state.manifest,
+                    files,
+                    planErrors: plan ? plan.errors : [],
+                    planWarnings: plan ? plan.warnings : [],
+                    partitions: this.state.partitions
+                },
+                settings: {
+                    ...this.getHistorySettings({ preserveNvs: this.state.preserveNvs }),
+                    updaterVersion: this.UPDATER_VERSION,
+                    customOffsets: Object.fromEntries(Object.entries(this.state.customOffsets)
+                        .map(([filename, offset]) => [filename, `0x${offset.toString(16).toUpperCase()}`]))
+                },
+                error: this.state.lastError
+            });
+
+            const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+            this.downloadFile(blob, `hds-diagnostics_${stamp}.zip`);
+            this.log('Diagnostics exported, attach the zip to your support ticket', 'success');
+        } catch (error) {
+            this.log(`Could not export diagnostics: ${error.message}`, 'error');
         }
     },
 
+    // Offer binary data as a file download
+    downloadFile(data, filename, type = 'application/octet-stream') {
+        const blob = data instanceof Blob ? data : new Blob([data], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     // Update progress bar
     updateProgress(percent, info) {
         const progress = Math.min(100, Math.max(0, percent));
@@ -230,6 +2383,8 @@ const App = {
         if (info && info.currentFileName) {
             this.elements.progressFill.textContent =
                 `${info.currentFile}/${info.totalFiles}: ${info.currentFileName} (${progress.toFixed(0)}%)`;
+        } else if (info && info.label) {
+            this.elements.progressFill.textContent = `${info.label} (${progress.toFixed(0)}%)`;
         }
     },
 
@@ -255,6 +2410,12 @@ const App = {
         line.className = `console-line ${type}`;
         line.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
         this.elements.console.appendChild(line);
+        this.state.logLines.push({ time: Date.now(), type, message });
+        if (this.state.logLines.length > this.LOG_MAX_LINES) {
+            this.state.logLines.splice(0, this.state.logLines.length - this.LOG_MAX_LINES);
+        }
+        // The console is cleared per operation, the history keeps every line
+        FlashHistory.addLog(message, type);
         this.elements.console.scrollTop = this.elements.console.scrollHeight;
     },
 
@@ -277,6 +2438,7 @@ const App = {
         // No files loaded state
         if (!this.state.firmwareFiles || Object.keys(this.state.firmwareFiles).length === 0) {
             container.innerHTML = '<div class="no-files-message">No firmware files loaded. Upload a firmware zip file first.</div>';
+            this.renderFlashMap();
             return;
         }
 
@@ -286,6 +2448,7 @@ const App = {
                 <thead>
                     <tr>
                         <th>Filename</th>
+                        <th>Partition</th>
                         <th>Auto-Detected</th>
                         <th>Custom Offset</th>
                         <th>Action</th>
@@ -295,13 +2458,18 @@ const App = {
         `;
 
         for (const [filename, data] of Object.entries(this.state.firmwareFiles)) {
-            const autoOffset = FileHandler.getFlashOffset(filename);
+            const target = FileHandler.resolveFlashTarget(filename, this.state.partitions, this.state.manifest);
+            const autoOffset = target.offset;
+            const partitionLabel = target.partition ?
+                `${target.partition.label} (${this.formatSize(target.partition.size)})` :
+                (target.source === 'default' ? 'unknown' : '-');
             const customOffset = this.state.customOffsets[filename];
             const displayValue = customOffset !== undefined ? `0x${customOffset.toString(16).toUpperCase()}` : '';
 
             tableHTML += `
                 <tr>
-                    <td>${filename}</td>
+                    <td>${filename}<div class="file-size">${this.formatSize(data.byteLength)}</div></td>
+                    <td>${partitionLabel}</td>
                     <td>0x${autoOffset.toString(16).toUpperCase()}</td>
                     <td>
                         <input
@@ -336,6 +2504,63 @@ const App = {
         container.querySelectorAll('.reset-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.onResetOffset(e));
         });
+
+        this.renderFlashMap();
+    },
+
+    // Draw the flash plan and the partition table to scale
+    renderFlashMap() {
+        const container = this.elements.flashMapContainer;
+        if (!this.state.firmwareFiles) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const flashSize = this.getFlashSizeLimit();
+        const plan = this.validateFlashPlan();
+        const hex = (value) => `0x${value.toString(16).toUpperCase()}`;
+        const block = (offset, size, className, label, title) => {
+            const left = Math.min(100, (offset / flashSize) * 100);
+            const width = Math.min(100 - left, Math.max(0.5, (size / flashSize) * 100));
+            return `<div class="flash-map-block ${className}" style="left: ${left}%; width: ${width}%;" title="${this.escapeHtml(title)}">${this.escapeHtml(label)}</div>`;
+        };
+
+        const partitionBlocks = (this.state.partitions || []).map(partition =>
+            block(partition.offset, partition.size, `partition-${partition.typeName}`, partition.label,
+                `${partition.label} (${partition.typeName}/${partition.subtypeName}) ${hex(partition.offset)}-${hex(partition.offset + partition.size)}, ${this.formatSize(partition.size)}`)
+        ).join('');
+
+        const fileBlocks = plan.files.map(file => {
+            const status = file.errors.length > 0 ? 'error' : (file.warnings.length > 0 ? 'warning' : 'ok');
+            const problems = [...file.errors, ...file.warnings].map(problem => `\n${problem}`).join('');
+            return block(file.offset, file.size, `file-${status}`, file.filename,
+                `${file.filename} ${hex(file.offset)}-${hex(file.end)}, ${this.formatSize(file.size)}${problems}`);
+        }).join('');
+
+        const detected = this.state.deviceInfo && this.state.deviceInfo.flashSize;
+        const problems = [...plan.errors.map(error => ['error', error]), ...plan.warnings.map(warning => ['warning', warning])];
+
+        container.innerHTML = `
+            <div class="flash-map">
+                <div class="flash-map-row">
+                    <span class="flash-map-label">Partitions</span>
+                    <div class="flash-map-track">${partitionBlocks}</div>
+                </div>
+                <div class="flash-map-row">
+                    <span class="flash-map-label">Files</span>
+                    <div class="flash-map-track">${fileBlocks}</div>
+                </div>
+                <div class="flash-map-row">
+                    <span class="flash-map-label"></span>
+                    <div class="flash-map-scale">
+                        <span>0x0</span>
+                        <span>${this.formatSize(flashSize)} flash${detected ? '' : ' (assumed)'}</span>
+                        <span>${hex(flashSize)}</span>
+                    </div>
+                </div>
+            </div>
+            ${problems.map(([type, message]) => `<div class="validation-message ${type}">${this.escapeHtml(message)}</div>`).join('')}
+        `;
     },
 
     // Validate offset value
@@ -358,33 +2583,28 @@ const App = {
         // Parse value
         const offset = parseInt(value, 16);
 
-        // Check range (0x0 to 0x400000 = 4MB)
-        if (offset < 0x0 || offset > 0x400000) {
+        // Check range against the detected (or assumed) flash size
+        const flashSize = this.getFlashSizeLimit();
+        if (offset >= flashSize) {
             return {
                 isValid: false,
                 type: 'error',
-                message: 'Offset out of range (0x0 to 0x400000)'
+                message: `Offset out of range (0x0 to 0x${(flashSize - 1).toString(16).toUpperCase()})`
             };
         }
 
-        // Check for duplicates
-        for (const [fn, customOffset] of Object.entries(this.state.customOffsets)) {
-            if (fn !== filename && customOffset === offset) {
-                return {
-                    isValid: false,
-                    type: 'error',
-                    message: `Duplicate offset (conflicts with ${fn})`
-                };
-            }
+        // Check the file's range against every other file, including auto-detected ones
+        const plan = this.validateFlashPlan(FileHandler.prepareFirmwareFilesWithCustomOffsets(
+            this.state.firmwareFiles,
+            { ...this.state.customOffsets, [filename]: offset },
+            this.state.manifest
+        ));
+        const entry = plan.files.find(file => file.filename === filename);
+        if (entry && entry.errors.length > 0) {
+            return { isValid: false, type: 'error', message: entry.errors.join('; ') };
         }
-
-        // Check alignment (warn if not 0x1000 aligned)
-        if (offset % 0x1000 !== 0) {
-            return {
-                isValid: true,
-                type: 'warning',
-                message: 'Warning: Not aligned to 4KB sector (0x1000)'
-            };
+        if (entry && entry.warnings.length > 0) {
+            return { isValid: true, type: 'warning', message: `Warning: ${entry.warnings.join('; ')}` };
         }
 
         return { isValid: true, type: 'success', message: '' };
@@ -430,6 +2650,8 @@ const App = {
             const offset = parseInt(value, 16);
             this.state.customOffsets[filename] = offset;
         }
+
+        this.renderFlashMap();
     },
 
     // Handle reset offset button
@@ -446,15 +2668,71 @@ const App = {
     }
 };
 
+// Give up waiting for dependencies after this long
+const DEPENDENCY_TIMEOUT_MS = 20000;
+let dependencyWaitStart = null;
+
+// Show a permanent error instead of a half-working page
+const showLoadError = (missing, detail) => {
+    document.querySelectorAll('.page-container button, .page-container input, .page-container select')
+        .forEach(el => { el.disabled = true; });
+
+    const status = document.getElementById('app-status');
+    status.className = 'app-status error';
+    status.innerHTML = '';
+
+    const message = document.createElement('div');
+    message.textContent = `Could not load ${missing.join(', ')}${detail ? ` (${detail})` : ''}. ` +
+        'Check your internet connection and reload the page. Once loaded, the updater also works offline.';
+    const reload = document.createElement('button');
+    reload.className = 'button';
+    reload.textContent = 'Reload';
+    reload.addEventListener('click', () => location.reload());
+    status.append(message, reload);
+};
+
 // Initialize app when DOM is loaded AND esptool is ready
 const initApp = () => {
+    // Classic scripts have run by DOMContentLoaded, so a missing global means the download failed
+    const missing = [];
+    if (typeof JSZip === 'undefined') {
+        missing.push('JSZip');
+    }
+    if (typeof CryptoJS === 'undefined') {
+        missing.push('crypto-js');
+    }
+
+    if (missing.length > 0 || window.esptoolLoadError) {
+        if (window.esptoolLoadError) {
+            missing.push('esptool-js');
+        }
+        showLoadError(missing, window.esptoolLoadError ? window.esptoolLoadError.message : null);
+        return;
+    }
+
     if (window.esptooljs) {
         console.log('Initializing app with esptool-js ready');
+        document.getElementById('app-status').classList.add('hidden');
         App.init();
-    } else {
-        console.log('Waiting for esptool-js to load...');
-        setTimeout(initApp, 100);
+        return;
     }
+
+    dependencyWaitStart = dependencyWaitStart || Date.now();
+    if (Date.now() - dependencyWaitStart > DEPENDENCY_TIMEOUT_MS) {
+        showLoadError(['esptool-js'], 'timed out');
+        return;
+    }
+
+    console.log('Waiting for esptool-js to load...');
+    setTimeout(initApp, 100);
 };
 
 document.addEventListener('DOMContentLoaded', initApp);
+
+// Register the service worker for offline use and installation
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.warn('Service worker registration failed:', error));
+    });
+}
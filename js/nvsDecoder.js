@@ -0,0 +1,368 @@
+/**
+ * NVS Decoder Module
+ * Decodes the ESP-IDF NVS (non-volatile storage) page and entry format, read-only
+ */
+
+const NvsDecoder = {
+    PAGE_SIZE: 0x1000,
+    STATE_BITMAP_OFFSET: 32,
+    ENTRY_TABLE_OFFSET: 64,
+    ENTRY_SIZE: 32,
+    ENTRIES_PER_PAGE: 126,
+    KEY_SIZE: 16,
+
+    // Page state words; each state clears one more bit
+    PAGE_STATES: {
+        0xFFFFFFFF: 'empty',
+        0xFFFFFFFE: 'active',
+        0xFFFFFFFC: 'full',
+        0xFFFFFFF8: 'freeing',
+        0xFFFFFFF0: 'corrupt',
+        0x00000000: 'invalid'
+    },
+
+    // Two bits per entry in the page's state bitmap
+    ENTRY_EMPTY: 0b11,
+    ENTRY_WRITTEN: 0b10,
+    ENTRY_ERASED: 0b00,
+
+    TYPES: {
+        0x01: 'u8',
+        0x11: 'i8',
+        0x02: 'u16',
+        0x12: 'i16',
+        0x04: 'u32',
+        0x14: 'i32',
+        0x08: 'u64',
+        0x18: 'i64',
+        0x21: 'string',
+        0x41: 'blob',
+        0x42: 'blob_data',
+        0x48: 'blob_index'
+    },
+
+    // Entries in namespace 0 map namespace names to their index
+    NAMESPACE_INDEX: 0,
+
+    crcTable: null,
+
+    /**
+     * Compute a CRC-32 the way NVS does (zlib CRC-32 seeded with 0xFFFFFFFF)
+     * @param {Uint8Array} data - Bytes to checksum
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Decode an NVS partition
+     * @param {ArrayBuffer|Uint8Array} buffer - Partition contents
+     * @returns {Object} Object with pages, namespaces (index -> name), entries and issues
+     */
+    parse(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const pages = [];
+        const rawEntries = [];
+        const issues = [];
+
+        if (bytes.length < this.PAGE_SIZE || bytes.length % this.PAGE_SIZE !== 0) {
+            throw new Error(`NVS partition size ${bytes.length} is not a multiple of ${this.PAGE_SIZE} bytes`);
+        }
+
+        for (let offset = 0; offset < bytes.length; offset += this.PAGE_SIZE) {
+            const page = this.parsePage(bytes.subarray(offset, offset + this.PAGE_SIZE), offset / this.PAGE_SIZE);
+            pages.push(page);
+            rawEntries.push(...page.entries);
+            page.issues.forEach(issue => issues.push(`Page ${page.index}: ${issue}`));
+        }
+
+        // Later pages (higher sequence number) hold the newer copy of a key
+        rawEntries.sort((a, b) => a.seq - b.seq || a.index - b.index);
+
+        const namespaces = {};
+        rawEntries
+            .filter(entry => entry.namespace === this.NAMESPACE_INDEX && entry.crcValid)
+            .forEach(entry => {
+                namespaces[entry.data[0]] = entry.key;
+            });
+
+        const entries = this.resolveBlobs(rawEntries.filter(entry => entry.namespace !== this.NAMESPACE_INDEX), issues)
+            .map(entry => ({
+                ...entry,
+                namespaceName: namespaces[entry.namespace] !== undefined ? namespaces[entry.namespace] : `#${entry.namespace}`
+            }));
+
+        return { pages, namespaces, entries, issues };
+    },
+
+    /**
+     * Decode one 4KB page
+     * @param {Uint8Array} page - Page contents
+     * @param {number} index - Page number within the partition
+     * @returns {Object} Page {index, state, seq, version, headerValid, used, erased, entries, issues}
+     */
+    parsePage(page, index) {
+        const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+        const stateWord = view.getUint32(0, true);
+        const state = this.PAGE_STATES[stateWord] || `unknown (0x${stateWord.toString(16).toUpperCase()})`;
+        const seq = view.getUint32(4, true);
+        const version = page[8] === 0xFF ? 1 : page[8] === 0xFE ? 2 : page[8];
+        const result = { index, state, seq, version, headerValid: true, used: 0, erased: 0, entries: [], issues: [] };
+
+        if (state === 'empty') {
+            // An empty page must be fully erased
+            if (page.some(byte => byte !== 0xFF)) {
+                result.issues.push('marked empty but not erased');
+            }
+            return result;
+        }
+
+        // The header CRC covers the sequence number, version and reserved bytes
+        result.headerValid = view.getUint32(28, true) === this.crc32(page.subarray(4, 28));
+        if (!result.headerValid) {
+            result.issues.push('header CRC mismatch');
+        }
+        if (!this.PAGE_STATES[stateWord] || state === 'corrupt' || state === 'invalid') {
+            result.issues.push(`page state is ${state}`);
+            return result;
+        }
+
+        for (let i = 0; i < this.ENTRIES_PER_PAGE; i++) {
+            const entryState = this.getEntryState(page, i);
+            if (entryState === this.ENTRY_ERASED) {
+                result.erased++;
+                continue;
+            }
+            if (entryState !== this.ENTRY_WRITTEN) {
+                continue;
+            }
+
+            const entry = this.parseEntry(page, i);
+            entry.page = index;
+            entry.seq = seq;
+            result.used += Math.max(entry.span, 1);
+
+            if (entry.span < 1 || i + entry.span > this.ENTRIES_PER_PAGE) {
+                result.issues.push(`entry ${i} (${entry.key || 'no key'}) has invalid span ${entry.span}`);
+                continue;
+            }
+            if (!entry.crcValid) {
+                result.issues.push(`entry ${i} (${entry.key}) CRC mismatch`);
+            }
+
+            // Variable length data follows the header entry
+            if (this.isVariableLength(entry.type)) {
+                const start = this.ENTRY_TABLE_OFFSET + (i + 1) * this.ENTRY_SIZE;
+                entry.payload = page.slice(start, start + entry.size);
+                if (entry.size > (entry.span - 1) * this.ENTRY_SIZE) {
+                    result.issues.push(`entry ${i} (${entry.key}) is ${entry.size} bytes, longer than its span`);
+                    entry.dataValid = false;
+                } else {
+                    entry.dataValid = this.crc32(entry.payload) === entry.dataCrc;
+                    if (!entry.dataValid) {
+                        result.issues.push(`entry ${i} (${entry.key}) data CRC mismatch`);
+                    }
+                }
+            }
+
+            result.entries.push(entry);
+            i += entry.span - 1;
+        }
+
+        return result;
+    },
+
+    /**
+     * Read the two-bit state of an entry from the page's state bitmap
+     * @param {Uint8Array} page - Page contents
+     * @param {number} index - Entry index
+     * @returns {number} ENTRY_EMPTY, ENTRY_WRITTEN or ENTRY_ERASED
+     */
+    getEntryState(page, index) {
+        const byte = page[this.STATE_BITMAP_OFFSET + (index >> 2)];
+        return (byte >> ((index & 3) * 2)) & 0b11;
+    },
+
+    /**
+     * Decode the 32 byte header of an entry
+     * @param {Uint8Array} page - Page contents
+     * @param {number} index - Entry index
+     * @returns {Object} Entry {index, namespace, type, typeName, span, chunkIndex, key, data, crcValid, ...}
+     */
+    parseEntry(page, index) {
+        const start = this.ENTRY_TABLE_OFFSET + index * this.ENTRY_SIZE;
+        const raw = page.subarray(start, start + this.ENTRY_SIZE);
+        const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+        const keyBytes = raw.subarray(8, 8 + this.KEY_SIZE);
+        const keyEnd = keyBytes.indexOf(0);
+
+        // The entry CRC skips its own field
+        const crcData = new Uint8Array(28);
+        crcData.set(raw.subarray(0, 4), 0);
+        crcData.set(raw.subarray(8, 32), 4);
+
+        const entry = {
+            index,
+            namespace: raw[0],
+            type: raw[1],
+            typeName: this.TYPES[raw[1]] || `0x${raw[1].toString(16)}`,
+            span: raw[2],
+            chunkIndex: raw[3],
+            key: String.fromCharCode(...keyBytes.subarray(0, keyEnd === -1 ? this.KEY_SIZE : keyEnd)),
+            data: raw.slice(24, 32),
+            crcValid: view.getUint32(4, true) === this.crc32(crcData)
+        };
+
+        if (this.isVariableLength(entry.type)) {
+            entry.size = view.getUint16(24, true);
+            entry.dataCrc = view.getUint32(28, true);
+        } else if (entry.typeName === 'blob_index') {
+            entry.size = view.getUint32(24, true);
+            entry.chunkCount = raw[28];
+            entry.chunkStart = raw[29];
+        }
+
+        return entry;
+    },
+
+    /**
+     * Check whether entries of a type carry their data in the following entries
+     * @param {number} type - Entry type
+     * @returns {boolean} True for strings and blob data
+     */
+    isVariableLength(type) {
+        return ['string', 'blob', 'blob_data'].includes(this.TYPES[type]);
+    },
+
+    /**
+     * Join version 2 blob chunks into their index entries and decode every value
+     * @param {Array} entries - Entries of all pages, oldest first
+     * @param {Array} issues - Issue list to extend
+     * @returns {Array} Entries {namespace, key, type, value, page, index, valid}
+     */
+    resolveBlobs(entries, issues) {
+        const chunks = entries.filter(entry => entry.typeName === 'blob_data');
+        const values = [];
+
+        for (const entry of entries) {
+            if (entry.typeName === 'blob_data') {
+                continue;
+            }
+
+            let payload = entry.payload;
+            let valid = entry.crcValid && entry.dataValid !== false;
+
+            if (entry.typeName === 'blob_index') {
+                const parts = [];
+                for (let chunk = entry.chunkStart; chunk < entry.chunkStart + entry.chunkCount; chunk++) {
+                    const part = chunks.filter(c => c.namespace === entry.namespace && c.key === entry.key && c.chunkIndex === chunk).pop();
+                    if (!part) {
+                        issues.push(`Blob ${entry.key} is missing chunk ${chunk}`);
+                        valid = false;
+                        break;
+                    }
+                    parts.push(part.payload);
+                    valid = valid && part.crcValid && part.dataValid !== false;
+                }
+                payload = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+                parts.reduce((offset, part) => {
+                    payload.set(part, offset);
+                    return offset + part.length;
+                }, 0);
+                if (valid && payload.length !== entry.size) {
+                    issues.push(`Blob ${entry.key} is ${payload.length} bytes, index says ${entry.size}`);
+                    valid = false;
+                }
+            }
+
+            values.push({
+                namespace: entry.namespace,
+                key: entry.key,
+                type: entry.typeName === 'blob_index' ? 'blob' : entry.typeName,
+                value: this.decodeValue(entry, payload),
+                page: entry.page,
+                index: entry.index,
+                valid
+            });
+        }
+
+        return values;
+    },
+
+    /**
+     * Decode the value of an entry
+     * @param {Object} entry - Parsed entry
+     * @param {Uint8Array} payload - Variable length data (strings and blobs)
+     * @returns {number|string|Uint8Array} Decoded value (64 bit integers as strings)
+     */
+    decodeValue(entry, payload) {
+        const view = new DataView(entry.data.buffer, entry.data.byteOffset, 8);
+
+        const integers = {
+            u8: () => view.getUint8(0),
+            i8: () => view.getInt8(0),
+            u16: () => view.getUint16(0, true),
+            i16: () => view.getInt16(0, true),
+            u32: () => view.getUint32(0, true),
+            i32: () => view.getInt32(0, true),
+            u64: () => view.getBigUint64(0, true).toString(),
+            i64: () => view.getBigInt64(0, true).toString()
+        };
+
+        if (integers[entry.typeName]) {
+            return integers[entry.typeName]();
+        }
+        if (entry.typeName === 'string') {
+            // Stored with its terminating NUL
+            const end = payload.indexOf(0);
+            return new TextDecoder().decode(end === -1 ? payload : payload.subarray(0, end));
+        }
+        if (entry.typeName === 'blob' || entry.typeName === 'blob_index') {
+            return payload;
+        }
+        return entry.data;
+    },
+
+    /**
+     * Format a value for display
+     * @param {Object} entry - Decoded entry {type, value}
+     * @param {number} maxBytes - Longest blob shown in full
+     * @returns {string} Display text
+     */
+    formatValue(entry, maxBytes = 64) {
+        if (!(entry.value instanceof Uint8Array)) {
+            return entry.type === 'string' ? JSON.stringify(entry.value) : String(entry.value);
+        }
+
+        const bytes = entry.value;
+        const hex = Array.from(bytes.subarray(0, maxBytes), b => b.toString(16).padStart(2, '0')).join(' ');
+        const more = bytes.length > maxBytes ? ` ... (${bytes.length} bytes)` : '';
+
+        // Blobs often hold text or a float (e.g. a calibration factor)
+        const isText = bytes.length > 0 && bytes.every((b, i) => (b >= 0x20 && b < 0x7F) || (b === 0 && i === bytes.length - 1));
+        if (isText) {
+            return `${JSON.stringify(String.fromCharCode(...bytes).replace(/\0$/, ''))} [${hex}]`;
+        }
+        if (bytes.length === 4) {
+            const float = new DataView(bytes.buffer, bytes.byteOffset, 4).getFloat32(0, true);
+            return `${hex} (float ${Number.isFinite(float) ? float.toPrecision(7) : float})`;
+        }
+        return hex + more;
+    }
+};
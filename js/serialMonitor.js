@@ -0,0 +1,253 @@
+/**
+ * Serial Monitor Module
+ * Streams the device's serial output, decodes ANSI colors and sends commands
+ */
+
+const SerialMonitor = {
+    DEFAULT_BAUD_RATE: 115200,
+    // Emit a partial line (e.g. a prompt) after this much silence
+    PARTIAL_LINE_DELAY_MS: 250,
+
+    port: null,
+    reader: null,
+    running: false,
+    readLoopPromise: null,
+    lineCallback: null,
+    errorCallback: null,
+
+    // Line assembly and ANSI state carried across chunks
+    decoder: null,
+    pendingEscape: '',
+    currentStyle: { fg: null, bold: false },
+    currentSegments: [],
+    partialTimer: null,
+
+    /**
+     * Open a port and start streaming lines
+     * @param {SerialPort} port - Serial port (closed)
+     * @param {number} baudRate - Baud rate of the application firmware
+     * @param {Function} lineCallback - Called with {time, text, segments} for every received line
+     * @param {Function} errorCallback - Called with an Error when reading stops unexpectedly
+     * @returns {Promise<void>}
+     */
+    async start(port, baudRate = this.DEFAULT_BAUD_RATE, lineCallback = null, errorCallback = null) {
+        if (this.running) {
+            throw new Error('Serial monitor is already running');
+        }
+
+        try {
+            await port.open({ baudRate });
+        } catch (error) {
+            throw new Error(`Failed to open serial port: ${error.message}`);
+        }
+
+        this.port = port;
+        this.running = true;
+        this.lineCallback = lineCallback;
+        this.errorCallback = errorCallback;
+        this.decoder = new TextDecoder();
+        this.pendingEscape = '';
+        this.currentStyle = { fg: null, bold: false };
+        this.currentSegments = [];
+
+        this.readLoopPromise = this.readLoop();
+    },
+
+    /**
+     * Read from the port until stopped
+     * @returns {Promise<void>}
+     */
+    async readLoop() {
+        let fatalError = null;
+        while (this.running && this.port && this.port.readable) {
+            this.reader = this.port.readable.getReader();
+            try {
+                while (true) {
+                    const { value, done } = await this.reader.read();
+                    if (done) {
+                        break;
+                    }
+                    this.processText(this.decoder.decode(value, { stream: true }));
+                }
+            } catch (error) {
+                // Framing/parity errors are recoverable, a lost device is not
+                if (error.name === 'NetworkError') {
+                    fatalError = this.running ? error : null;
+                    this.running = false;
+                } else if (this.running && this.errorCallback) {
+                    this.errorCallback(error);
+                }
+            } finally {
+                this.reader.releaseLock();
+                this.reader = null;
+            }
+        }
+
+        if (this.currentSegments.length > 0) {
+            this.flushLine();
+        }
+
+        // Reported after the reader is released and isRunning() is false, so the callback can close the port
+        if (fatalError && this.errorCallback) {
+            this.errorCallback(fatalError);
+        }
+    },
+
+    /**
+     * Stop streaming and close the port
+     * @returns {Promise<SerialPort|null>} The closed port, for reuse
+     */
+    async stop() {
+        if (!this.port) {
+            return null;
+        }
+
+        const port = this.port;
+        this.running = false;
+        clearTimeout(this.partialTimer);
+
+        try {
+            if (this.reader) {
+                await this.reader.cancel();
+            }
+            await this.readLoopPromise;
+            await port.close();
+        } catch (error) {
+            console.error('Error while closing serial monitor:', error);
+        }
+
+        this.port = null;
+        this.readLoopPromise = null;
+        return port;
+    },
+
+    /**
+     * Send text to the device
+     * @param {string} text - Text to send
+     * @param {string} lineEnding - Appended line ending ('\n', '\r\n' or '')
+     * @returns {Promise<void>}
+     */
+    async send(text, lineEnding = '\n') {
+        if (!this.running || !this.port || !this.port.writable) {
+            throw new Error('Serial monitor is not running');
+        }
+
+        const writer = this.port.writable.getWriter();
+        try {
+            await writer.write(new TextEncoder().encode(text + lineEnding));
+        } finally {
+            writer.releaseLock();
+        }
+    },
+
+    /**
+     * Reset the device through RTS (EN) so its boot log can be captured
+     * @returns {Promise<void>}
+     */
+    async resetDevice() {
+        if (!this.port) {
+            throw new Error('Serial monitor is not running');
+        }
+
+        await this.port.setSignals({ dataTerminalReady: false, requestToSend: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await this.port.setSignals({ dataTerminalReady: false, requestToSend: false });
+    },
+
+    /**
+     * Split received text into styled segments and complete lines
+     * @param {string} text - Decoded text chunk
+     */
+    processText(text) {
+        clearTimeout(this.partialTimer);
+        text = this.pendingEscape + text;
+        this.pendingEscape = '';
+
+        let plain = '';
+        const appendPlain = () => {
+            if (plain) {
+                this.currentSegments.push({ text: plain, fg: this.currentStyle.fg, bold: this.currentStyle.bold });
+                plain = '';
+            }
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '\x1b') {
+                // Keep an escape sequence that is cut off at the end of the chunk
+                const match = text.slice(i).match(/^\x1b\[([0-9;?]*)([A-Za-z])/);
+                if (!match) {
+                    if (text.length - i < 16 && /^\x1b(\[[0-9;?]*)?$/.test(text.slice(i))) {
+                        this.pendingEscape = text.slice(i);
+                        break;
+                    }
+                    continue;
+                }
+                appendPlain();
+                if (match[2] === 'm') {
+                    this.applySgr(match[1]);
+                }
+                i += match[0].length - 1;
+            } else if (char === '\n') {
+                appendPlain();
+                this.flushLine();
+            } else if (char !== '\r') {
+                plain += char;
+            }
+        }
+        appendPlain();
+
+        if (this.currentSegments.length > 0) {
+            this.partialTimer = setTimeout(() => this.flushLine(), this.PARTIAL_LINE_DELAY_MS);
+        }
+    },
+
+    /**
+     * Apply an SGR (Select Graphic Rendition) parameter list
+     * @param {string} params - Semicolon separated parameters, e.g. "0;32"
+     */
+    applySgr(params) {
+        const codes = params === '' ? [0] : params.split(';').map(Number);
+        for (const code of codes) {
+            if (code === 0) {
+                this.currentStyle = { fg: null, bold: false };
+            } else if (code === 1) {
+                this.currentStyle.bold = true;
+            } else if (code === 22) {
+                this.currentStyle.bold = false;
+            } else if (code >= 30 && code <= 37) {
+                this.currentStyle.fg = code - 30;
+            } else if (code >= 90 && code <= 97) {
+                this.currentStyle.fg = code - 90 + 8;
+            } else if (code === 39) {
+                this.currentStyle.fg = null;
+            }
+        }
+    },
+
+    /**
+     * Emit the current line
+     */
+    flushLine() {
+        clearTimeout(this.partialTimer);
+        const segments = this.currentSegments;
+        this.currentSegments = [];
+
+        if (this.lineCallback) {
+            this.lineCallback({
+                time: new Date(),
+                text: segments.map(segment => segment.text).join(''),
+                segments
+            });
+        }
+    },
+
+    /**
+     * Check whether the monitor is streaming
+     * @returns {boolean} Running status
+     */
+    isRunning() {
+        return this.running;
+    }
+};
@@ -0,0 +1,146 @@
+/**
+ * Service Worker
+ * Precaches the app shell and pinned dependencies so the updater works offline
+ */
+
+// Bump when the app shell or a dependency version changes
+const CACHE_NAME = 'hds-updater-v7';
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './js/database.js',
+    './js/firmwareCache.js',
+    './js/flashHistory.js',
+    './js/downloadSources.js',
+    './js/github.js',
+    './js/espImage.js',
+    './js/fileHandler.js',
+    './js/flasher.js',
+    './js/serialMonitor.js',
+    './js/nvsDecoder.js',
+    './js/littlefs.js',
+    './js/batch.js',
+    './js/diagnostics.js',
+    './js/main.js'
+];
+
+// Pinned versions, never change under the same URL
+const DEPENDENCIES = [
+    'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
+    'https://cdn.jsdelivr.net/npm/crypto-js@4.2.0/crypto-js.js',
+    'https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.esm.mjs',
+    'https://esm.sh/esptool-js@0.4.0'
+];
+
+// Stylesheets are loaded without CORS, so they are cached as opaque responses
+const STYLESHEETS = [
+    'https://fast.decentespresso.com/css/skel.css',
+    'https://fast.decentespresso.com/css/style.css'
+];
+
+// Hosts whose responses are cached on first use (esm.sh serves nested modules)
+const DEPENDENCY_HOSTS = ['cdn.jsdelivr.net', 'esm.sh', 'fast.decentespresso.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+
+        // A missing dependency must not prevent installing the app shell
+        const requests = [
+            ...DEPENDENCIES.map(url => new Request(url, { mode: 'cors' })),
+            ...STYLESHEETS.map(url => new Request(url, { mode: 'no-cors' }))
+        ];
+        await Promise.all(requests.map(request =>
+            cache.add(request).catch(error => console.warn(`Failed to precache ${request.url}:`, error))
+        ));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('hds-updater-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (DEPENDENCY_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    // Only the app shell is served from the cache; firmware downloads and API calls go to the network
+    if (url.origin === self.location.origin && isAppShell(url)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Check whether a same-origin URL belongs to the app shell
+ * @param {URL} url - Request URL
+ * @returns {boolean} True if the URL is precached
+ */
+function isAppShell(url) {
+    const scope = new URL(self.registration.scope);
+    const path = './' + url.pathname.slice(scope.pathname.length);
+    return APP_SHELL.includes(path);
+}
+
+/**
+ * Serve from the cache, falling back to the network and caching the response
+ * @param {Request} request - Request to serve
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve from the network so updates arrive, falling back to the cache when offline
+ * @param {Request} request - Request to serve
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}